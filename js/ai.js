@@ -0,0 +1,349 @@
+// Void Drifter - AI State Machines
+
+// Enemies run a state machine described by plain data:
+// {
+//   initial: 'patrol',
+//   states: {
+//     patrol: { steering: { patrol: 1, flock: 0.5 }, fire: null, transitions: [['targetNear', 'pursue']] },
+//     pursue: { ...EnemyStates.pursue, transitions: [['targetLost', 'patrol']] },
+//     ...
+//   }
+// }
+// steering: Steering behaviors blended by weight, fire: 'target' (led, see Targeting), 'random' or null,
+// transitions: [condition, next state] pairs from AIConditions, the first that holds is taken.
+// States may also have enter(enemy, game) and exit(enemy, game) hooks.
+
+// Steering behaviors, each returns a force of at most unit length (or null) that the
+// enemy's thrust scales. Nearby entities are looked up in the physics grid, which the
+// game builds at the start of each step
+const Steering = {
+    maxShotSpeed: 800, // fastest shot dodge looks out for, bounds its search
+
+
+    // Weighted sum of behaviors, capped at unit length
+    blend(enemy, weights, game) {
+        const force = { x: 0, y: 0 };
+
+        for (const name in weights) {
+            const steer = this[name](enemy, game);
+            if (steer) {
+                force.x += steer.x * weights[name];
+                force.y += steer.y * weights[name];
+            }
+        }
+
+        const magnitude = Utils.vector.magnitude(force);
+        return magnitude > 1 ? Utils.vector.multiply(force, 1 / magnitude) : force;
+    },
+
+    // Loop between a few random waypoints
+    patrol(enemy, game) {
+        if (!enemy.patrolRoute) {
+            enemy.patrolRoute = [];
+            for (let i = 0; i < 3; i++) {
+                enemy.patrolRoute.push({
+                    x: Utils.random(0, game.width, 'combat'),
+                    y: Utils.random(0, game.height, 'combat')
+                });
+            }
+            enemy.patrolIndex = 0;
+        }
+
+        const waypoint = enemy.patrolRoute[enemy.patrolIndex];
+        const dx = Utils.wrapDelta(enemy.x, waypoint.x, game.width);
+        const dy = Utils.wrapDelta(enemy.y, waypoint.y, game.height);
+        if (Math.sqrt(dx * dx + dy * dy) < 50) {
+            enemy.patrolIndex = (enemy.patrolIndex + 1) % enemy.patrolRoute.length;
+        }
+
+        return PhysicsBehaviors.seek(enemy, enemy.x + dx, enemy.y + dy, 1);
+    },
+
+    wander(enemy, game) {
+        return PhysicsBehaviors.wander(enemy, 50, 100, 0.5);
+    },
+
+    pursue(enemy, game) {
+        if (!AIConditions.hasTarget(enemy)) return null;
+
+        const target = game.physics.getNearestImage(enemy, enemy.target);
+        return PhysicsBehaviors.seek(enemy, target.x, target.y, 1);
+    },
+
+    retreat(enemy, game) {
+        if (!AIConditions.hasTarget(enemy)) return null;
+
+        const target = game.physics.getNearestImage(enemy, enemy.target);
+        return PhysicsBehaviors.flee(enemy, target.x, target.y, 1);
+    },
+
+    // Close in or back off to stay within the enemy's range band
+    keepRange(enemy, game) {
+        if (!AIConditions.hasTarget(enemy)) return null;
+
+        const distance = game.physics.getDistance(enemy, enemy.target);
+        if (distance > enemy.optimalRange + enemy.rangeTolerance) return this.pursue(enemy, game);
+        if (distance < enemy.optimalRange - enemy.rangeTolerance) return this.retreat(enemy, game);
+        return null;
+    },
+
+    // Circle the target, switching direction every strafeTime
+    strafe(enemy, game) {
+        if (!AIConditions.hasTarget(enemy)) return null;
+
+        const offset = game.physics.getOffset(enemy, enemy.target);
+        const distance = Utils.vector.magnitude(offset);
+        if (distance === 0) return null;
+
+        const direction = Math.floor(enemy.stateTimer / enemy.strafeTime) % 2 === 0
+            ? enemy.strafeDirection
+            : -enemy.strafeDirection;
+        return { x: -offset.y / distance * direction, y: offset.x / distance * direction };
+    },
+
+    // Sidestep shots that will pass within twice the enemy's radius in the next dodgeTime ms
+    dodge(enemy, game) {
+        const lookahead = enemy.dodgeTime / 1000;
+        const radius = enemy.getCollisionRadius() * 2;
+        const force = { x: 0, y: 0 };
+
+        // Shots farther out than they can close in the lookahead can't reach the enemy in time
+        const speed = this.maxShotSpeed + Utils.vector.magnitude(enemy.physics.velocity);
+        const nearby = game.physics.queryRadius(enemy.x, enemy.y, speed * lookahead + radius, PhysicsEngine.LAYERS.projectile);
+
+        for (const projectile of nearby) {
+            if (projectile.type !== 'projectile' || !projectile.alive) continue;
+            if (projectile.owner && projectile.owner.getRoot() === enemy.getRoot()) continue;
+
+            // Projectile position and velocity relative to the enemy
+            const offset = game.physics.getOffset(enemy, projectile);
+            const velocity = Utils.vector.subtract(projectile.physics.velocity, enemy.physics.velocity);
+            const speedSquared = Utils.vector.dot(velocity, velocity);
+            if (speedSquared === 0) continue;
+
+            // Closest approach
+            const time = -Utils.vector.dot(offset, velocity) / speedSquared;
+            if (time < 0 || time > lookahead) continue;
+
+            const miss = { x: offset.x + velocity.x * time, y: offset.y + velocity.y * time };
+            const missDistance = Utils.vector.magnitude(miss);
+            if (missDistance > radius) continue;
+
+            // Away from the shot's path, sooner hits are more urgent
+            const away = missDistance > 0
+                ? { x: -miss.x / missDistance, y: -miss.y / missDistance }
+                : Utils.vector.normalize({ x: -velocity.y, y: velocity.x });
+            const urgency = 1 - time / lookahead;
+            force.x += away.x * urgency;
+            force.y += away.y * urgency;
+        }
+
+        return force.x !== 0 || force.y !== 0 ? force : null;
+    },
+
+    // Keep apart from other enemies
+    flock(enemy, game) {
+        const neighbors = game.physics.queryRadius(enemy.x, enemy.y, enemy.separation, PhysicsEngine.LAYERS.enemy)
+            .filter(entity => entity.alive && entity !== enemy && !entity.parent);
+        return PhysicsBehaviors.separate(enemy, neighbors, enemy.separation, game.physics);
+    }
+};
+
+// Conditions for state transitions
+const AIConditions = {
+    hasTarget(enemy) {
+        return Boolean(enemy.target && enemy.target.alive);
+    },
+
+    noTarget(enemy, game) {
+        return !this.hasTarget(enemy);
+    },
+
+    targetNear(enemy, game) {
+        return this.hasTarget(enemy) && game.physics.getDistance(enemy, enemy.target) <= enemy.aggroRange;
+    },
+
+    targetLost(enemy, game) {
+        return !this.hasTarget(enemy) || game.physics.getDistance(enemy, enemy.target) > enemy.aggroRange * 1.5;
+    },
+
+    inRange(enemy, game) {
+        return this.hasTarget(enemy) &&
+            game.physics.getDistance(enemy, enemy.target) <= enemy.optimalRange + enemy.rangeTolerance;
+    },
+
+    outOfRange(enemy, game) {
+        return !this.hasTarget(enemy) ||
+            game.physics.getDistance(enemy, enemy.target) > enemy.optimalRange + enemy.rangeTolerance * 2;
+    },
+
+    // Below the retreat threshold and hasn't retreated yet
+    damaged(enemy, game) {
+        return !enemy.hasRetreated && enemy.health.current / enemy.health.max <= enemy.retreatHealth;
+    },
+
+    retreatOver(enemy, game) {
+        return enemy.stateTimer >= enemy.retreatTime;
+    }
+};
+
+// Reusable states, enemy behaviors spread these and add their own transitions
+const EnemyStates = {
+    patrol: {
+        steering: { patrol: 1, flock: 0.5, dodge: 1 }
+    },
+    pursue: {
+        steering: { pursue: 1, flock: 0.5, dodge: 1.5 },
+        fire: 'target'
+    },
+    strafe: {
+        steering: { strafe: 0.8, keepRange: 1, flock: 0.5, dodge: 1.5 },
+        fire: 'target'
+    },
+    retreat: {
+        steering: { retreat: 1, flock: 0.5, dodge: 2 },
+        enter(enemy) {
+            enemy.hasRetreated = true;
+        }
+    }
+};
+
+// Runs an enemy's behavior, keeping the current state in enemy.state and the
+// time spent in it in enemy.stateTimer
+class StateMachine {
+    constructor(owner, behavior) {
+        this.owner = owner;
+        this.behavior = behavior;
+    }
+
+    getState() {
+        return this.behavior.states[this.owner.state];
+    }
+
+    update(deltaTime, game) {
+        const owner = this.owner;
+        if (!this.getState()) {
+            this.transition(this.behavior.initial, game);
+        }
+
+        // At most one transition per step
+        for (const [condition, next] of this.getState().transitions || []) {
+            if (AIConditions[condition](owner, game)) {
+                this.transition(next, game);
+                break;
+            }
+        }
+
+        const state = this.getState();
+        if (state.steering) {
+            const force = Steering.blend(owner, state.steering, game);
+            game.physics.applyForce(owner, force.x * owner.thrust, force.y * owner.thrust);
+        }
+
+        if (state.fire) {
+            this.fire(state.fire, game);
+        }
+    }
+
+    transition(name, game) {
+        const previous = this.getState();
+        if (previous && previous.exit) previous.exit(this.owner, game);
+
+        this.owner.state = name;
+        this.owner.stateTimer = 0;
+
+        const state = this.getState();
+        if (state.enter) state.enter(this.owner, game);
+    }
+
+    // mode 'target': lead the target and fire when in range, 'random': spray in any direction
+    fire(mode, game) {
+        const owner = this.owner;
+        if (!owner.weapon) return;
+
+        if (mode === 'target') {
+            if (!AIConditions.hasTarget(owner)) return;
+            owner.rotation = owner.aimAt(owner.target, game);
+            if (game.physics.getDistance(owner, owner.target) > owner.fireRange) return;
+        }
+
+        if (owner.weapon.canFire()) {
+            if (mode === 'random') {
+                owner.rotation = Utils.random(0, Math.PI * 2, 'combat');
+            } else {
+                owner.rotation += owner.rollAimError();
+            }
+            owner.weapon.fire(game);
+        }
+    }
+}
+
+// Lead targeting for projectile weapons
+const Targeting = {
+    maxAimError: 0.35, // radians either side at accuracy 0
+
+    // Where to aim, relative to the muzzle, for a shot to meet a target at offset moving at velocity.
+    // Follows the shot step by step as the engine moves it: launched at speed plus a share of the
+    // shooter's velocity (carried), slowing by Projectile.DAMPING each step.
+    // Returns { steps, aim } for the first step the shot can reach the target, null if it can't
+    // within maxSteps
+    intercept(offset, velocity, carried, speed, maxSteps) {
+        const dt = Game.TIMESTEP / 1000;
+        let decay = 1;
+        let reach = 0; // distance per unit of launch velocity covered so far
+
+        for (let step = 1; step <= maxSteps; step++) {
+            decay *= Projectile.DAMPING;
+            reach += decay * dt;
+
+            const time = step * dt;
+            const aim = {
+                x: offset.x + velocity.x * time - carried.x * reach,
+                y: offset.y + velocity.y * time - carried.y * reach
+            };
+            if (Utils.vector.magnitude(aim) <= speed * reach) {
+                return { steps: step, aim };
+            }
+        }
+
+        return null;
+    },
+
+    // Angle for a shooter's weapon to hit a target moving at targetVelocity. Shots don't wrap,
+    // so every image of the target across the screen edges is tried and the soonest hit that
+    // stays on the field wins. Aims straight at the target if none can be reached.
+    leadAngle(shooter, target, targetVelocity, weapon, game) {
+        const shooterVelocity = shooter.physics ? shooter.physics.velocity : { x: 0, y: 0 };
+        const carried = Utils.vector.multiply(shooterVelocity, Projectile.INHERITED_VELOCITY);
+        const maxSteps = Math.floor(weapon.projectileLifetime / Game.TIMESTEP);
+        const margin = Projectile.OFFSCREEN_MARGIN;
+
+        let best = null;
+        for (const imageX of [-1, 0, 1]) {
+            for (const imageY of [-1, 0, 1]) {
+                const offset = {
+                    x: target.x + imageX * game.width - shooter.x,
+                    y: target.y + imageY * game.height - shooter.y
+                };
+                const hit = this.intercept(offset, targetVelocity, carried, weapon.projectileSpeed,
+                    best ? best.steps - 1 : maxSteps);
+                if (!hit) continue;
+
+                // The shot must meet the target before leaving the field
+                const time = hit.steps * Game.TIMESTEP / 1000;
+                const hitX = shooter.x + offset.x + targetVelocity.x * time;
+                const hitY = shooter.y + offset.y + targetVelocity.y * time;
+                if (hitX < -margin || hitX > game.width + margin || hitY < -margin || hitY > game.height + margin) continue;
+
+                best = hit;
+            }
+        }
+
+        return best ? Math.atan2(best.aim.y, best.aim.x) : game.physics.getAngle(shooter, target);
+    }
+};
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { Steering, AIConditions, EnemyStates, StateMachine, Targeting };
+}
@@ -9,6 +9,7 @@ class AudioManager {
         this.sfxVolume = 1.0;
         this.musicVolume = 0.5;
         this.isMuted = false;
+        this.suppressed = false; // silent while seeking through a replay
     }
 
     // Load a single sound effect
@@ -34,7 +35,7 @@ class AudioManager {
 
     // Play a sound effect
     play(name, options = {}) {
-        if (!this.sounds[name] || this.isMuted) return;
+        if (!this.sounds[name] || this.isMuted || this.suppressed) return;
 
         const source = this.audioContext.createBufferSource();
         source.buffer = this.sounds[name];
@@ -123,6 +124,16 @@ class AudioManager {
         return this.isMuted;
     }
 
+    // Play sounds for gameplay events
+    subscribe(events) {
+        events.on('weaponFired', ({ weapon }) => this.play(weapon.sound));
+        events.on('pickupCollected', ({ pickup }) => this.play(pickup.sound));
+        events.on('playerHit', () => this.playGenerated('hit'));
+        events.on('entityDestroyed', () => this.playGenerated('explosion'));
+        events.on('playerDestroyed', () => this.playGenerated('explosion'));
+        events.on('bossPhaseChanged', () => this.playGenerated('explosion'));
+    }
+
     // Generate simple synth sounds (fallback if assets fail to load)
     generateSynthSound(type) {
         const oscillator = this.audioContext.createOscillator();
@@ -166,7 +177,7 @@ class AudioManager {
 
     // Play generated sound if buffer is missing
     playGenerated(name) {
-        if (this.isMuted) return;
+        if (this.isMuted || this.suppressed) return;
         
         if (this.sounds[name]) {
             this.play(name);
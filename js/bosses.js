@@ -0,0 +1,438 @@
+// Void Drifter - Bosses
+
+// Multi-phase boss built from a BossTypes definition
+// The core is shielded while any weak point is intact; destroying a weak point breaches
+// the hull for a share of its health. Crossing a phase threshold re-arms the boss with
+// that phase's weak points and switches to its attack script.
+class Boss extends Enemy {
+    // options.level: how many times this boss has been met, scales its health
+    constructor(x, y, type, options = {}) {
+        const data = BossTypes[type] || BossTypes.void_dreadnought;
+        const level = options.level || 1;
+
+        super(x, y, {
+            color: data.color,
+            strokeColor: data.strokeColor,
+            glow: true,
+            health: { max: Math.round(data.health * (1 + (level - 1) * Boss.HEALTH_PER_LEVEL)) },
+            armor: data.armor,
+            resistances: data.resistances,
+            hitInvulnerability: 0,
+            physics: {
+                mass: data.mass,
+                maxVelocity: data.maxVelocity,
+                collisionRadius: data.size,
+                damping: 0.98
+            },
+            scoreValue: data.scoreValue * level,
+            lootTable: data.lootTable,
+            ...options
+        });
+
+        this.bossType = type;
+        this.name = data.name;
+        this.data = data;
+        this.size = data.size;
+        this.setCollisionShape(data.outline);
+
+        // Boss weapons by attack, fired by the attack scripts
+        this.weapons = {};
+        for (const id in data.weapons) {
+            const weapon = data.weapons[id];
+            this.weapons[id] = WeaponFactory.create(weapon.type, this, { heatPerShot: 0, ...weapon.options });
+        }
+
+        this.phase = -1;
+        this.weakPoints = [];
+        this.breachDamage = this.health.max * data.breachFraction;
+
+        // Current attack of the phase script
+        this.script = [];
+        this.scriptIndex = 0;
+        this.attack = null;
+        this.attackTimer = 0;
+        this.transitionTimer = 0; // ms of calm after a phase change
+    }
+
+    // Add the boss and its first phase to the field
+    spawn(game) {
+        game.addEntity(this);
+        this.enterPhase(0, game);
+        game.events.emit('bossSpawned', { boss: this });
+    }
+
+    isShielded() {
+        return this.weakPoints.some(weakPoint => weakPoint.alive);
+    }
+
+    getHealthFraction() {
+        return this.health.current / this.health.max;
+    }
+
+    update(deltaTime, game) {
+        // Weak points destroyed since the last step breach the hull
+        this.weakPoints = this.weakPoints.filter(weakPoint => {
+            if (!weakPoint.alive) this.breach(game);
+            return weakPoint.alive;
+        });
+
+        // Phase changes at health thresholds
+        const phases = this.data.phases;
+        while (this.phase + 1 < phases.length && this.getHealthFraction() <= phases[this.phase + 1].threshold) {
+            this.enterPhase(this.phase + 1, game);
+        }
+
+        for (const id in this.weapons) {
+            this.weapons[id].update(deltaTime);
+        }
+
+        super.update(deltaTime, game);
+    }
+
+    // A breach is never the killing blow, the core has to be shot down
+    breach(game) {
+        this.health.current = Math.max(1, this.health.current - this.breachDamage);
+        ParticleEffects.explosion(game.particles, this.x, this.y, { count: 30, speed: 150 });
+    }
+
+    enterPhase(index, game) {
+        const phase = this.data.phases[index];
+        this.phase = index;
+
+        this.endAttack(game);
+        this.script = phase.script;
+        this.scriptIndex = 0;
+        this.transitionTimer = index > 0 ? Boss.TRANSITION_TIME : 0;
+        this.speedMultiplier = phase.speed || 1;
+
+        for (const definition of phase.weakPoints || []) {
+            const weakPoint = new BossWeakPoint(this, definition);
+            this.weakPoints.push(weakPoint);
+            game.addEntity(weakPoint);
+        }
+
+        if (index > 0) {
+            game.events.emit('bossPhaseChanged', { boss: this, phase: index });
+        }
+    }
+
+    ai(deltaTime, game) {
+        if (!this.target) return;
+
+        // Hold position at range, unless the attack moves the boss itself
+        const targetPosition = game.physics.getNearestImage(this, this.target);
+        const distance = game.physics.getDistance(this, this.target);
+        const force = 120 * this.physics.mass * this.speedMultiplier;
+        if (this.attack && this.attack.moves) {
+            // Attack in control
+        } else if (distance > this.data.range) {
+            const seekForce = PhysicsBehaviors.seek(this, targetPosition.x, targetPosition.y, 1);
+            game.physics.applyForce(this, seekForce.x * force, seekForce.y * force);
+        } else if (distance < this.data.range * 0.5) {
+            const fleeForce = PhysicsBehaviors.flee(this, targetPosition.x, targetPosition.y, 1);
+            game.physics.applyForce(this, fleeForce.x * force, fleeForce.y * force);
+        }
+
+        if (this.transitionTimer > 0) {
+            this.transitionTimer -= deltaTime;
+            this.turnTowards(game.physics.getAngle(this, this.target), deltaTime);
+            return;
+        }
+
+        this.runScript(deltaTime, game);
+    }
+
+    // Step through the phase's attacks in order, looping
+    runScript(deltaTime, game) {
+        if (!this.attack) {
+            this.attack = Boss.ATTACKS[this.script[this.scriptIndex]];
+            this.attackTimer = 0;
+            if (this.attack.start) this.attack.start(this, game);
+        }
+
+        this.attack.update(this, deltaTime, game);
+        this.attackTimer += deltaTime;
+
+        if (this.attackTimer >= this.attack.duration) {
+            this.endAttack(game);
+            this.scriptIndex = (this.scriptIndex + 1) % this.script.length;
+        }
+    }
+
+    endAttack(game) {
+        if (this.attack && this.attack.end) this.attack.end(this, game);
+        this.attack = null;
+    }
+
+    // Turn at most the boss's turn rate towards an angle
+    turnTowards(angle, deltaTime) {
+        const delta = Math.atan2(Math.sin(angle - this.rotation), Math.cos(angle - this.rotation));
+        const maxTurn = this.data.turnSpeed * this.speedMultiplier * (deltaTime / 1000);
+        this.rotation += Utils.clamp(delta, -maxTurn, maxTurn);
+    }
+
+    // Shots bounce off the core while it is shielded
+    takeDamage(damage, amount = damage.amount) {
+        if (this.isShielded()) return false;
+        return super.takeDamage(damage, amount);
+    }
+
+    destroy() {
+        super.destroy();
+
+        // Weak points go down with the ship
+        for (const weakPoint of this.weakPoints) {
+            weakPoint.destroy();
+        }
+    }
+
+    draw(ctx) {
+        const outline = this.data.outline;
+
+        ctx.strokeStyle = this.strokeColor;
+        ctx.lineWidth = this.lineWidth + 1;
+        ctx.beginPath();
+        outline.forEach(([x, y], i) => {
+            if (i === 0) ctx.moveTo(x * this.size, y * this.size);
+            else ctx.lineTo(x * this.size, y * this.size);
+        });
+        ctx.closePath();
+        ctx.stroke();
+
+        // Core, pulsing faster in later phases
+        const pulse = 0.8 + Math.sin(this.animationTime * 0.005 * (this.phase + 1)) * 0.2;
+        ctx.fillStyle = this.color;
+        ctx.beginPath();
+        ctx.arc(0, 0, this.size * 0.25 * pulse, 0, Math.PI * 2);
+        ctx.fill();
+
+        // Shield bubble while weak points remain
+        if (this.isShielded()) {
+            ctx.strokeStyle = 'rgba(0, 255, 255, 0.5)';
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            ctx.arc(0, 0, this.size * 0.4, 0, Math.PI * 2);
+            ctx.stroke();
+        }
+    }
+}
+
+// Extra health per previous encounter (0.5 = +50%)
+Boss.HEALTH_PER_LEVEL = 0.5;
+
+// Calm between phases (ms)
+Boss.TRANSITION_TIME = 1500;
+
+// Scripted attacks, referenced by id from phase scripts
+// start(boss, game) runs once, update(boss, deltaTime, game) every step for duration ms, then end(boss, game)
+// moves: the attack steers the boss instead of it holding range
+Boss.ATTACKS = {
+    // Blaster volleys at the target
+    volley: {
+        duration: 2500,
+        update(boss, deltaTime, game) {
+            boss.turnTowards(game.physics.getAngle(boss, boss.target), deltaTime);
+            boss.weapons.volley.fire(game);
+        }
+    },
+
+    // Rings of slugs in every direction
+    ring: {
+        duration: 2000,
+        update(boss, deltaTime, game) {
+            boss.rotation += 0.5 * (deltaTime / 1000);
+            boss.weapons.ring.fire(game);
+        }
+    },
+
+    // Gatling fire swept across the target
+    sweep: {
+        duration: 2400,
+        start(boss, game) {
+            boss.sweepCenter = game.physics.getAngle(boss, boss.target);
+        },
+        update(boss, deltaTime, game) {
+            const progress = boss.attackTimer / Boss.ATTACKS.sweep.duration;
+            boss.rotation = boss.sweepCenter + (progress - 0.5) * 1.6;
+            boss.weapons.sweep.fire(game);
+        }
+    },
+
+    // Ram the target
+    charge: {
+        duration: 1500,
+        moves: true,
+        start(boss, game) {
+            const angle = game.physics.getAngle(boss, boss.target);
+            boss.rotation = angle;
+            boss.physics.maxVelocity = boss.data.maxVelocity * 4;
+            boss.physics.velocity.x = Math.cos(angle) * boss.physics.maxVelocity;
+            boss.physics.velocity.y = Math.sin(angle) * boss.physics.maxVelocity;
+        },
+        update(boss, deltaTime, game) {
+            // Coast into the target
+        },
+        end(boss, game) {
+            boss.physics.maxVelocity = boss.data.maxVelocity;
+        }
+    },
+
+    // Plasma bolts at the target
+    barrage: {
+        duration: 2000,
+        update(boss, deltaTime, game) {
+            boss.turnTowards(game.physics.getAngle(boss, boss.target), deltaTime);
+            boss.weapons.barrage.fire(game);
+        }
+    }
+};
+
+// Destructible turret mounted on a boss
+class BossWeakPoint extends Enemy {
+    // definition: { x, y } mount in units of the boss size, health, weapon, weaponOptions
+    constructor(boss, definition) {
+        super(boss.x, boss.y, {
+            color: boss.color,
+            strokeColor: '#ffffff',
+            glow: true,
+            health: { max: Math.round(definition.health * boss.health.max / boss.data.health) },
+            armor: definition.armor || 0,
+            hitInvulnerability: 0,
+            parent: boss,
+            physics: {
+                mass: boss.physics.mass,
+                collisionRadius: definition.radius || 12,
+                damping: 1,
+                // Mounted on the hull, so only the player and projectiles touch it
+                mask: PhysicsEngine.LAYERS.player | PhysicsEngine.LAYERS.projectile
+            },
+            scoreValue: definition.scoreValue || 250
+        });
+
+        this.boss = boss;
+        this.mount = { x: definition.x, y: definition.y };
+        this.size = definition.radius || 12;
+        this.weapon = WeaponFactory.create(definition.weapon || 'blaster', this, {
+            heatPerShot: 0,
+            projectileColor: boss.color,
+            ...definition.weaponOptions
+        });
+        this.follow();
+    }
+
+    // Stay on the mount, moving with the hull
+    follow() {
+        const boss = this.boss;
+        const cos = Math.cos(boss.rotation);
+        const sin = Math.sin(boss.rotation);
+        const x = this.mount.x * boss.size;
+        const y = this.mount.y * boss.size;
+
+        this.x = boss.x + x * cos - y * sin;
+        this.y = boss.y + x * sin + y * cos;
+        this.physics.velocity.x = boss.physics.velocity.x;
+        this.physics.velocity.y = boss.physics.velocity.y;
+    }
+
+    ai(deltaTime, game) {
+        this.follow();
+
+        // Hold fire during phase changes
+        if (!this.target || this.boss.transitionTimer > 0) return;
+
+        this.rotation = game.physics.getAngle(this, this.target);
+        if (this.weapon.canFire()) {
+            this.weapon.fire(game);
+        }
+    }
+
+    draw(ctx) {
+        ctx.strokeStyle = this.strokeColor;
+        ctx.lineWidth = this.lineWidth;
+        ctx.beginPath();
+        ctx.arc(0, 0, this.size, 0, Math.PI * 2);
+        ctx.stroke();
+
+        // Barrel
+        ctx.beginPath();
+        ctx.moveTo(0, 0);
+        ctx.lineTo(this.size * 1.5, 0);
+        ctx.stroke();
+
+        // Damage shown as a shrinking core
+        ctx.fillStyle = this.color;
+        ctx.beginPath();
+        ctx.arc(0, 0, this.size * 0.6 * (this.health.current / this.health.max), 0, Math.PI * 2);
+        ctx.fill();
+    }
+}
+
+// Boss definitions
+// phases: entered when health fraction drops to threshold, weakPoints are added on entry
+// weapons: boss weapons by attack id (WeaponFactory types)
+const BossTypes = {
+    void_dreadnought: {
+        name: 'Void Dreadnought',
+        color: '#ff0066',
+        strokeColor: '#ff66aa',
+        health: 1200,
+        armor: 3,
+        resistances: { kinetic: 0.1 },
+        mass: 12,
+        maxVelocity: 45,
+        turnSpeed: 1.2, // radians per second
+        size: 60,
+        range: 320,
+        scoreValue: 5000,
+        lootTable: 'void_dreadnought',
+        breachFraction: 0.15,
+        outline: [[1, 0], [0.5, -0.8], [-0.6, -0.8], [-1, -0.3], [-1, 0.3], [-0.6, 0.8], [0.5, 0.8]],
+        weapons: {
+            volley: { type: 'blaster', options: { fireRate: 350, damage: 15, projectileSpeed: 320, projectileColor: '#ff0066' } },
+            ring: { type: 'spread_shot', options: { fireRate: 900, damage: 15, projectiles: 16, spread: Math.PI * 2 * 15 / 16, projectileSpeed: 200, projectileColor: '#ff66aa' } },
+            sweep: { type: 'laser_gatling', options: { fireRate: 90, damage: 8, spread: 0.05, projectileColor: '#ff0066' } },
+            barrage: { type: 'plasma_cannon', options: { fireRate: 700, damage: 35, projectileSpeed: 220 } }
+        },
+        phases: [
+            {
+                threshold: 1,
+                script: ['volley', 'ring'],
+                weakPoints: [
+                    { x: 0.3, y: -0.65, health: 120, weapon: 'blaster', weaponOptions: { fireRate: 1400, damage: 12, projectileSpeed: 260 } },
+                    { x: 0.3, y: 0.65, health: 120, weapon: 'blaster', weaponOptions: { fireRate: 1400, damage: 12, projectileSpeed: 260 } }
+                ]
+            },
+            {
+                threshold: 0.6,
+                script: ['sweep', 'volley', 'ring'],
+                speed: 1.2,
+                weakPoints: [
+                    { x: -0.8, y: -0.4, health: 150, armor: 2, weapon: 'spread_shot', weaponOptions: { fireRate: 2200, damage: 12, projectileSpeed: 220 } },
+                    { x: -0.8, y: 0.4, health: 150, armor: 2, weapon: 'spread_shot', weaponOptions: { fireRate: 2200, damage: 12, projectileSpeed: 220 } },
+                    { x: 0.85, y: 0, health: 150, armor: 2, weapon: 'blaster', weaponOptions: { fireRate: 1000, damage: 15, projectileSpeed: 300 } }
+                ]
+            },
+            {
+                threshold: 0.25,
+                script: ['charge', 'barrage', 'sweep', 'ring'],
+                speed: 1.5
+            }
+        ]
+    }
+};
+
+// Boss factory
+const BossFactory = {
+    create(type, x, y, options = {}) {
+        return new Boss(x, y, BossTypes[type] ? type : 'void_dreadnought', options);
+    },
+
+    getRandomType() {
+        return Utils.randomChoice(Object.keys(BossTypes), 'spawning');
+    }
+};
+
+// Export classes
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { Boss, BossWeakPoint, BossTypes, BossFactory };
+}
@@ -0,0 +1,79 @@
+// Void Drifter - Ship Chassis
+
+// Chassis definitions
+// silhouette points and hardpoints (lateral muzzle offsets) are in units of size
+const ChassisData = {
+    default: {
+        name: 'Standard',
+        health: 100,
+        shield: 50,
+        shieldRegen: 10, // per second
+        thrust: 200,
+        turnSpeed: 3, // radians per second
+        mass: 1,
+        armor: 0, // flat damage soaked per hull hit
+        resistances: {},
+        collisionRadius: 12,
+        size: 15,
+        hardpoints: [0],
+        silhouette: [[1, 0], [-0.7, -0.5], [-0.3, 0], [-0.7, 0.5]]
+    },
+    interceptor: {
+        name: 'Interceptor',
+        health: 70,
+        shield: 40,
+        shieldRegen: 14,
+        thrust: 280,
+        turnSpeed: 4.2,
+        mass: 0.7,
+        armor: 0,
+        resistances: { energy: 0.1 },
+        collisionRadius: 10,
+        size: 14,
+        hardpoints: [0],
+        silhouette: [[1.2, 0], [-0.4, -0.25], [-0.8, -0.6], [-0.6, 0], [-0.8, 0.6], [-0.4, 0.25]]
+    },
+    tank: {
+        name: 'Bulwark',
+        health: 160,
+        shield: 80,
+        shieldRegen: 8,
+        thrust: 170,
+        turnSpeed: 2.2,
+        mass: 2,
+        armor: 3,
+        resistances: { kinetic: 0.2, collision: 0.3 },
+        collisionRadius: 16,
+        size: 18,
+        hardpoints: [-0.4, 0.4],
+        silhouette: [[0.9, -0.2], [0.9, 0.2], [0.2, 0.6], [-0.7, 0.7], [-0.5, 0], [-0.7, -0.7], [0.2, -0.6]]
+    }
+};
+
+// Stats shown in the hangar comparison, in display order
+const ChassisStats = [
+    { key: 'health', label: 'Hull' },
+    { key: 'shield', label: 'Shield' },
+    { key: 'shieldRegen', label: 'Shield Regen' },
+    { key: 'thrust', label: 'Thrust' },
+    { key: 'turnSpeed', label: 'Turn Rate' },
+    { key: 'mass', label: 'Mass', neutral: true },
+    { key: 'armor', label: 'Armor' },
+    { key: 'hardpoints', label: 'Hardpoints', value: chassis => chassis.hardpoints.length }
+];
+
+// Chassis lookup
+const ChassisFactory = {
+    get(id) {
+        return ChassisData[id] || ChassisData.default;
+    },
+
+    getStat(chassis, stat) {
+        return stat.value ? stat.value(chassis) : chassis[stat.key];
+    }
+};
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ChassisData, ChassisStats, ChassisFactory };
+}
@@ -0,0 +1,79 @@
+// Void Drifter - Damage Model
+
+// Damage types, resistances are keyed by these
+const DamageTypes = {
+    KINETIC: 'kinetic',
+    ENERGY: 'energy',
+    PLASMA: 'plasma',
+    COLLISION: 'collision'
+};
+
+// Damage rules
+const DamageSystem = {
+    // Collision damage per px/s of relative speed, before the mass split
+    collisionScale: 0.3,
+    minCollisionDamage: 10,
+    maxCollisionDamage: 60,
+
+    // Armor never reduces a hit below this fraction of its resisted amount
+    minArmorFraction: 0.25,
+
+    // Hit spark colors by damage type
+    colors: {
+        kinetic: ['#ffff00', '#ff8800', '#ffffff'],
+        energy: ['#00ffff', '#88ffff', '#ffffff'],
+        plasma: ['#ff00ff', '#ff88ff', '#ffffff'],
+        collision: ['#aaaaaa', '#ffffff']
+    },
+
+    // Damage event passed to takeDamage
+    // source: entity that dealt the hit (e.g. a projectile), attacker: who gets credit (e.g. its owner)
+    // dealt, absorbed and killed are filled in by the target
+    createEvent(amount, type, source = null, options = {}) {
+        return {
+            amount,
+            type,
+            source,
+            attacker: options.attacker || source,
+            point: options.point || null,
+            dealt: 0,
+            absorbed: 0,
+            killed: false
+        };
+    },
+
+    // Apply a target's resistances (fraction per type, negative = weakness), then flat armor
+    mitigate(amount, type, target) {
+        const resistance = (target.resistances && target.resistances[type]) || 0;
+        let result = amount * (1 - resistance);
+
+        if (target.armor) {
+            result = Math.max(result - target.armor, result * this.minArmorFraction);
+        }
+
+        return Math.max(0, result);
+    },
+
+    // Damage each entity takes from a collision, the lighter one takes more
+    // Returns [damage to entity1, damage to entity2]
+    collisionDamage(entity1, entity2) {
+        const velocity1 = entity1.physics ? entity1.physics.velocity : { x: 0, y: 0 };
+        const velocity2 = entity2.physics ? entity2.physics.velocity : { x: 0, y: 0 };
+        const mass1 = entity1.physics ? entity1.physics.mass : 1;
+        const mass2 = entity2.physics ? entity2.physics.mass : 1;
+
+        const relativeSpeed = Utils.vector.magnitude({
+            x: velocity2.x - velocity1.x,
+            y: velocity2.y - velocity1.y
+        });
+        const impact = relativeSpeed * this.collisionScale * 2 / (mass1 + mass2);
+        const clamp = damage => Utils.clamp(damage, this.minCollisionDamage, this.maxCollisionDamage);
+
+        return [clamp(impact * mass2), clamp(impact * mass1)];
+    }
+};
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { DamageTypes, DamageSystem };
+}
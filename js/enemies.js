@@ -13,11 +13,36 @@ class Enemy extends Entity {
         this.stateTimer = 0;
         this.target = null;
         
-        // Loot drops
-        this.loot = options.loot || {
-            scrap: { chance: 0.8, amount: [5, 15] },
-            crystal: { chance: 0.1, amount: [1, 3] }
-        };
+        // State machine run by ai() (see StateMachine), subclasses may script ai() themselves instead
+        this.behavior = options.behavior ? new StateMachine(this, options.behavior) : null;
+        
+        // AI tuning
+        this.thrust = options.thrust || 100; // force of a full steering input
+        this.aggroRange = options.aggroRange || 400; // patrols notice the target within this
+        this.optimalRange = options.optimalRange || 250;
+        this.rangeTolerance = options.rangeTolerance || 50;
+        this.fireRange = options.fireRange || Infinity;
+        this.strafeTime = options.strafeTime || 2500; // ms before strafing switches direction
+        this.strafeDirection = Utils.chance(0.5, 'combat') ? 1 : -1;
+        this.retreatHealth = options.retreatHealth || 0; // health fraction that sends it running once
+        this.retreatTime = options.retreatTime || 3000;
+        this.hasRetreated = false;
+        this.dodgeTime = options.dodgeTime || 600; // ms ahead that incoming shots are noticed
+        this.separation = options.separation || 60; // preferred distance to other enemies
+        
+        // Gunnery: 1 leads the target perfectly, lower scatters shots by up to Targeting.maxAimError,
+        // and the target's changes of course are noticed reactionTime ms late
+        this.accuracy = options.accuracy !== undefined ? options.accuracy : 0.6;
+        this.reactionTime = options.reactionTime !== undefined ? options.reactionTime : 400;
+        this.targetTrack = []; // target velocities seen over the last reactionTime
+        
+        // Elites are tougher, worth more and always drop loot
+        if (this.elite) {
+            this.health.max *= 2;
+            this.health.current = this.health.max;
+            this.scoreValue *= 2;
+            this.lineWidth = 3;
+        }
     }
     
     update(deltaTime, game) {
@@ -29,43 +54,53 @@ class Enemy extends Entity {
         if (!this.target || !this.target.alive) {
             this.target = game.player;
         }
+        this.observeTarget(game);
+        
+        // Cool down weapon
+        if (this.weapon) {
+            this.weapon.update(deltaTime);
+        }
         
         // Run AI behavior
         this.ai(deltaTime, game);
     }
     
     ai(deltaTime, game) {
-        // To be implemented by subclasses
-    }
-    
-    destroy() {
-        super.destroy();
-        
-        // Drop loot
-        const drops = this.createLoot();
-        return drops;
+        if (this.behavior) {
+            this.behavior.update(deltaTime, game);
+        }
     }
     
-    createLoot() {
-        const drops = [];
-        
-        // Scrap Metal
-        if (Math.random() < this.loot.scrap.chance) {
-            const amount = Utils.randomInt(this.loot.scrap.amount[0], this.loot.scrap.amount[1]);
-            for (let i = 0; i < amount; i++) {
-                drops.push(new Pickup(this.x, this.y, 'scrap'));
-            }
+    // Remember the target's velocity, aim reacts to the oldest one within reactionTime
+    observeTarget(game) {
+        const target = this.target;
+        if (!target || !target.alive || !target.physics) {
+            this.targetTrack = [];
+            return;
         }
         
-        // Quantum Crystals
-        if (Math.random() < this.loot.crystal.chance) {
-            const amount = Utils.randomInt(this.loot.crystal.amount[0], this.loot.crystal.amount[1]);
-            for (let i = 0; i < amount; i++) {
-                drops.push(new Pickup(this.x, this.y, 'crystal'));
-            }
+        this.targetTrack.push({ time: game.time, x: target.physics.velocity.x, y: target.physics.velocity.y });
+        while (this.targetTrack.length > 1 && this.targetTrack[1].time <= game.time - this.reactionTime) {
+            this.targetTrack.shift();
         }
-        
-        return drops;
+    }
+    
+    // Velocity the enemy believes its target has
+    getPerceivedVelocity() {
+        const seen = this.targetTrack[0];
+        return seen ? { x: seen.x, y: seen.y } : { x: 0, y: 0 };
+    }
+    
+    // Angle leading the target with the equipped weapon
+    aimAt(target, game) {
+        if (!this.weapon) return game.physics.getAngle(this, target);
+        return Targeting.leadAngle(this, target, this.getPerceivedVelocity(), this.weapon, game);
+    }
+    
+    // Random aim offset for one shot
+    rollAimError() {
+        const error = (1 - Utils.clamp(this.accuracy, 0, 1)) * Targeting.maxAimError;
+        return error > 0 ? Utils.random(-error, error, 'combat') : 0;
     }
 }
 
@@ -77,6 +112,7 @@ class ScoutSaucer extends Enemy {
             strokeColor: '#ff8888',
             glow: true,
             health: { max: 30 },
+            resistances: { energy: 0.1 },
             physics: {
                 mass: 0.5,
                 maxVelocity: 150,
@@ -84,10 +120,18 @@ class ScoutSaucer extends Enemy {
                 damping: 0.95
             },
             scoreValue: 150,
+            lootTable: 'scout_saucer',
+            behavior: ScoutSaucer.BEHAVIOR,
+            thrust: 60,
+            accuracy: 0.3,
+            reactionTime: 700,
+            retreatHealth: 0.5,
+            retreatTime: 2000,
             ...options
         });
         
         this.size = 15;
+        this.setCollisionShape(ScoutSaucer.OUTLINE);
         this.weapon = new Blaster(this, {
             fireRate: 1500,
             damage: 15,
@@ -96,21 +140,6 @@ class ScoutSaucer extends Enemy {
         });
     }
     
-    ai(deltaTime, game) {
-        // Erratic movement
-        if (this.stateTimer > 2000) {
-            const wanderForce = PhysicsBehaviors.wander(this, 50, 100, 0.5);
-            game.physics.applyForce(this, wanderForce.x * 100, wanderForce.y * 100);
-            this.stateTimer = 0;
-        }
-        
-        // Fire in random directions
-        if (this.weapon.canFire()) {
-            this.rotation = Utils.random(0, Math.PI * 2);
-            this.weapon.fire(game);
-        }
-    }
-    
     draw(ctx) {
         // Saucer shape
         ctx.strokeStyle = this.strokeColor;
@@ -130,6 +159,29 @@ class ScoutSaucer extends Enemy {
     }
 }
 
+// Collision outline in units of size, traced from draw()
+ScoutSaucer.OUTLINE = [
+    [1, 0], [0.7, 0], [0.35, -0.375], [0, -0.5], [-0.35, -0.375], [-0.7, 0],
+    [-1, 0], [-0.5, 0.1875], [0, 0.25], [0.5, 0.1875]
+];
+
+// Drifts erratically between waypoints taking wild shots, and bolts when half destroyed
+ScoutSaucer.BEHAVIOR = {
+    initial: 'patrol',
+    states: {
+        patrol: {
+            steering: { patrol: 0.6, wander: 0.6, flock: 1, dodge: 1.5 },
+            fire: 'target',
+            transitions: [['damaged', 'retreat']]
+        },
+        retreat: {
+            ...EnemyStates.retreat,
+            fire: 'target',
+            transitions: [['retreatOver', 'patrol']]
+        }
+    }
+};
+
 // Hunter Drone
 class HunterDrone extends Enemy {
     constructor(x, y, options = {}) {
@@ -138,6 +190,8 @@ class HunterDrone extends Enemy {
             strokeColor: '#ffff00',
             glow: true,
             health: { max: 60 },
+            armor: 2,
+            resistances: { kinetic: 0.2 },
             physics: {
                 mass: 0.8,
                 maxVelocity: 100,
@@ -145,44 +199,26 @@ class HunterDrone extends Enemy {
                 damping: 0.98
             },
             scoreValue: 300,
+            lootTable: 'hunter_drone',
+            behavior: HunterDrone.BEHAVIOR,
+            thrust: 150,
+            accuracy: 0.75,
+            reactionTime: 300,
+            aggroRange: 600,
+            optimalRange: 250,
+            rangeTolerance: 50,
+            retreatHealth: 0.35,
             ...options
         });
         
         this.size = 18;
+        this.setCollisionShape(HunterDrone.OUTLINE);
         this.weapon = new Blaster(this, {
             fireRate: 1000,
             damage: 20,
             projectileSpeed: 300,
             projectileColor: '#ffaa00'
         });
-        
-        this.optimalRange = 250;
-        this.rangeTolerance = 50;
-    }
-    
-    ai(deltaTime, game) {
-        if (!this.target) return;
-        
-        const distanceToTarget = Utils.distance(this.x, this.y, this.target.x, this.target.y);
-        
-        // Maintain optimal range
-        if (distanceToTarget > this.optimalRange + this.rangeTolerance) {
-            // Move towards target
-            const seekForce = PhysicsBehaviors.seek(this, this.target.x, this.target.y, 1);
-            game.physics.applyForce(this, seekForce.x * 150, seekForce.y * 150);
-        } else if (distanceToTarget < this.optimalRange - this.rangeTolerance) {
-            // Move away from target
-            const fleeForce = PhysicsBehaviors.flee(this, this.target.x, this.target.y, 1);
-            game.physics.applyForce(this, fleeForce.x * 150, fleeForce.y * 150);
-        }
-        
-        // Aim at target
-        this.rotation = Utils.angleBetween(this.x, this.y, this.target.x, this.target.y);
-        
-        // Fire at target
-        if (this.weapon.canFire()) {
-            this.weapon.fire(game);
-        }
     }
     
     draw(ctx) {
@@ -205,6 +241,32 @@ class HunterDrone extends Enemy {
     }
 }
 
+HunterDrone.OUTLINE = [[1, 0], [0, -0.7], [-1, 0], [0, 0.7]];
+
+// Closes to its optimal range and circles there, falls back once badly damaged
+HunterDrone.BEHAVIOR = {
+    initial: 'pursue',
+    states: {
+        patrol: {
+            ...EnemyStates.patrol,
+            transitions: [['targetNear', 'pursue']]
+        },
+        pursue: {
+            ...EnemyStates.pursue,
+            transitions: [['damaged', 'retreat'], ['targetLost', 'patrol'], ['inRange', 'strafe']]
+        },
+        strafe: {
+            ...EnemyStates.strafe,
+            transitions: [['damaged', 'retreat'], ['outOfRange', 'pursue']]
+        },
+        retreat: {
+            ...EnemyStates.retreat,
+            fire: 'target',
+            transitions: [['retreatOver', 'pursue']]
+        }
+    }
+};
+
 // Marauder Frigate
 class MarauderFrigate extends Enemy {
     constructor(x, y, options = {}) {
@@ -213,6 +275,8 @@ class MarauderFrigate extends Enemy {
             strokeColor: '#ff00ff',
             glow: true,
             health: { max: 200 },
+            armor: 4,
+            resistances: { energy: 0.25, plasma: -0.2 },
             physics: {
                 mass: 2.5,
                 maxVelocity: 60,
@@ -220,10 +284,17 @@ class MarauderFrigate extends Enemy {
                 damping: 0.99
             },
             scoreValue: 800,
+            lootTable: 'marauder_frigate',
+            behavior: MarauderFrigate.BEHAVIOR,
+            thrust: 100,
+            accuracy: 0.5,
+            reactionTime: 500,
+            aggroRange: 800,
             ...options
         });
         
         this.size = 30;
+        this.setCollisionShape(MarauderFrigate.OUTLINE);
         this.weapon = new SpreadShot(this, {
             fireRate: 2500,
             damage: 25,
@@ -234,22 +305,6 @@ class MarauderFrigate extends Enemy {
         });
     }
     
-    ai(deltaTime, game) {
-        if (!this.target) return;
-        
-        // Slowly move towards player
-        const seekForce = PhysicsBehaviors.seek(this, this.target.x, this.target.y, 0.5);
-        game.physics.applyForce(this, seekForce.x * 100, seekForce.y * 100);
-        
-        // Aim at player
-        this.rotation = Utils.angleBetween(this.x, this.y, this.target.x, this.target.y);
-        
-        // Fire burst of projectiles
-        if (this.weapon.canFire()) {
-            this.weapon.fire(game);
-        }
-    }
-    
     draw(ctx) {
         // Frigate shape (chevron)
         ctx.strokeStyle = this.strokeColor;
@@ -275,6 +330,24 @@ class MarauderFrigate extends Enemy {
     }
 }
 
+MarauderFrigate.OUTLINE = [[1, 0], [-0.5, -0.8], [-1, 0], [-0.5, 0.8]];
+
+// Lumbers straight at the target, too heavy to dodge
+MarauderFrigate.BEHAVIOR = {
+    initial: 'pursue',
+    states: {
+        patrol: {
+            steering: { patrol: 0.5, flock: 0.5 },
+            transitions: [['targetNear', 'pursue']]
+        },
+        pursue: {
+            steering: { pursue: 0.5, flock: 0.5 },
+            fire: 'target',
+            transitions: [['noTarget', 'patrol']]
+        }
+    }
+};
+
 // Enemy factory
 const EnemyFactory = {
     create(type, x, y, options = {}) {
@@ -291,11 +364,12 @@ const EnemyFactory = {
     },
     
     getRandomType() {
-        const types = ['scout_saucer', 'hunter_drone', 'marauder_frigate'];
-        return Utils.randomChoice(types);
+        return Utils.randomChoice(this.TYPES, 'spawning');
     }
 };
 
+EnemyFactory.TYPES = ['scout_saucer', 'hunter_drone', 'marauder_frigate'];
+
 // Export classes
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = { Enemy, ScoutSaucer, HunterDrone, MarauderFrigate, EnemyFactory };
@@ -6,9 +6,16 @@ class Entity {
         this.x = x;
         this.y = y;
         this.rotation = options.rotation || 0;
+        
+        // State at the start of the last simulation step, for interpolated rendering
+        this.prevX = x;
+        this.prevY = y;
+        this.prevRotation = this.rotation;
         this.scale = options.scale || 1;
+        this.id = Entity.nextId++;
         this.alive = true;
         this.type = options.type || 'entity';
+        this.parent = options.parent || null; // e.g. the boss a weak point is mounted on
         
         // Visual properties
         this.color = options.color || '#00ffff';
@@ -19,7 +26,10 @@ class Entity {
         
         // Physics component
         if (options.physics) {
-            this.physics = PhysicsEngine.createPhysicsComponent(options.physics);
+            this.physics = PhysicsEngine.createPhysicsComponent({
+                ...PhysicsEngine.getCollisionFilter(this.type),
+                ...options.physics
+            });
         }
         
         // Health system
@@ -32,10 +42,26 @@ class Entity {
             };
         }
         
+        // Damage mitigation (see DamageSystem.mitigate)
+        this.resistances = options.resistances || {};
+        this.armor = options.armor || 0;
+        this.hitInvulnerability = options.hitInvulnerability !== undefined ? options.hitInvulnerability : 500; // ms after each hit
+        
         // Animation
         this.animationTime = 0;
         this.pulseSpeed = options.pulseSpeed || 0;
         this.rotationSpeed = options.rotationSpeed || 0;
+        
+        // Loot table rolled when destroyed (see LootTables)
+        this.lootTable = options.lootTable || null;
+        this.elite = options.elite || false;
+    }
+    
+    // Remember the current state before a simulation step
+    savePreviousState() {
+        this.prevX = this.x;
+        this.prevY = this.y;
+        this.prevRotation = this.rotation;
     }
     
     update(deltaTime, game) {
@@ -55,12 +81,53 @@ class Entity {
         }
     }
     
-    render(ctx) {
+    // alpha: fraction of a simulation step elapsed since the last update
+    // bounds: playfield size, wrapping entities straddling an edge are also drawn on the far side
+    render(ctx, alpha = 1, bounds = null) {
         if (!this.alive) return;
         
+        // Interpolate between the last two simulation states,
+        // snapping on large jumps (screen wrap, teleport, respawn)
+        let renderX = this.x;
+        let renderY = this.y;
+        let renderRotation = this.rotation;
+        if (alpha < 1 && Math.abs(this.x - this.prevX) < Entity.SNAP_DISTANCE &&
+            Math.abs(this.y - this.prevY) < Entity.SNAP_DISTANCE) {
+            renderX = Utils.lerp(this.prevX, this.x, alpha);
+            renderY = Utils.lerp(this.prevY, this.y, alpha);
+            
+            let rotationDelta = this.rotation - this.prevRotation;
+            rotationDelta = Math.atan2(Math.sin(rotationDelta), Math.cos(rotationDelta));
+            renderRotation = this.prevRotation + rotationDelta * alpha;
+        }
+        
+        this.renderAt(ctx, renderX, renderY, renderRotation);
+        
+        // Ghost copies across the edges
+        if (bounds && this.physics && this.physics.screenWrap) {
+            const radius = this.getRenderRadius();
+            const offsetsX = [0];
+            const offsetsY = [0];
+            
+            if (renderX - radius < 0) offsetsX.push(bounds.width);
+            if (renderX + radius > bounds.width) offsetsX.push(-bounds.width);
+            if (renderY - radius < 0) offsetsY.push(bounds.height);
+            if (renderY + radius > bounds.height) offsetsY.push(-bounds.height);
+            
+            for (const offsetX of offsetsX) {
+                for (const offsetY of offsetsY) {
+                    if (offsetX !== 0 || offsetY !== 0) {
+                        this.renderAt(ctx, renderX + offsetX, renderY + offsetY, renderRotation);
+                    }
+                }
+            }
+        }
+    }
+    
+    renderAt(ctx, x, y, rotation) {
         ctx.save();
-        ctx.translate(this.x, this.y);
-        ctx.rotate(this.rotation);
+        ctx.translate(x, y);
+        ctx.rotate(rotation);
         ctx.scale(this.scale, this.scale);
         
         // Apply pulse effect
@@ -97,19 +164,27 @@ class Entity {
         ctx.stroke();
     }
     
-    takeDamage(amount) {
+    // damage: event from DamageSystem.createEvent, amount: raw damage left after shields
+    // Returns true if this hit destroyed the entity
+    takeDamage(damage, amount = damage.amount) {
         if (!this.health || this.health.invulnerable) return false;
         
-        this.health.current -= amount;
+        const dealt = Math.min(DamageSystem.mitigate(amount, damage.type, this), this.health.current);
+        damage.dealt += dealt;
+        
+        this.health.current -= dealt;
         if (this.health.current <= 0) {
             this.health.current = 0;
+            damage.killed = true;
             this.destroy();
             return true;
         }
         
         // Make invulnerable for a short time
-        this.health.invulnerable = true;
-        this.health.invulnerabilityTime = 500; // 0.5 seconds
+        if (this.hitInvulnerability > 0) {
+            this.health.invulnerable = true;
+            this.health.invulnerabilityTime = this.hitInvulnerability;
+        }
         
         return false;
     }
@@ -124,43 +199,77 @@ class Entity {
         this.alive = false;
     }
     
+    createLoot(wave = 1) {
+        if (!this.lootTable) return [];
+        return LootSystem.createDrops(this.lootTable, this.x, this.y, { wave, elite: this.elite });
+    }
+    
+    // Top of the parent chain, entities with the same root don't shoot each other
+    getRoot() {
+        return this.parent ? this.parent.getRoot() : this;
+    }
+    
     getCollisionRadius() {
         return this.physics ? this.physics.collisionRadius : 10;
     }
+    
+    // Polygon collider from [x, y] pairs in units of size
+    setCollisionShape(outline) {
+        if (!this.physics) return;
+        
+        PhysicsEngine.setShape(this.physics, outline.map(([x, y]) => ({
+            x: x * this.size,
+            y: y * this.size
+        })));
+    }
+    
+    // Generous visual extent, including glow and irregular outlines
+    getRenderRadius() {
+        return Math.max(this.size || 0, this.getCollisionRadius()) * this.scale * 1.5;
+    }
 }
 
+// Unique entity ids
+Entity.nextId = 1;
+
+// Movement per step beyond which rendering snaps instead of interpolating
+Entity.SNAP_DISTANCE = 100;
+
 // Player Ship
 class Player extends Entity {
     constructor(x, y, options = {}) {
+        const chassis = ChassisFactory.get(options.chassis);
+        
         super(x, y, {
             type: 'player',
             color: '#00ffff',
             glow: true,
-            health: { max: 100 },
+            health: { max: chassis.health },
+            armor: chassis.armor,
+            resistances: chassis.resistances,
             physics: {
-                mass: 1,
+                mass: chassis.mass,
                 maxVelocity: 300,
-                collisionRadius: 12,
+                collisionRadius: chassis.collisionRadius,
                 damping: 0.98
             },
             ...options
         });
         
         // Ship properties
-        this.thrustPower = 200;
-        this.rotationSpeed = 3; // radians per second
-        this.size = 15;
-        
-        // Weapon system
-        this.weapon = {
-            heat: 0,
-            maxHeat: 100,
-            heatPerShot: 15,
-            cooldownRate: 30, // heat units per second
-            overheated: false,
-            fireRate: 200, // milliseconds between shots
-            lastFired: 0
-        };
+        this.chassis = chassis;
+        this.thrustPower = chassis.thrust;
+        this.turnSpeed = chassis.turnSpeed; // radians per second
+        this.size = chassis.size;
+        this.hardpoints = chassis.hardpoints;
+        this.setCollisionShape(chassis.silhouette);
+        this.magnetRadius = 100; // pickup attraction range
+        
+        // Persistent upgrade levels (playerData.upgrades)
+        this.upgradeLevels = options.upgrades || {};
+        
+        // Weapon system (replaced by the hangar loadout at run start)
+        this.weapon = new Blaster(this);
         
         // Special ability
         this.ability = {
@@ -172,14 +281,19 @@ class Player extends Entity {
         
         // Shield system
         this.shield = {
-            current: 50,
-            max: 50,
-            regenRate: 10, // per second
+            current: chassis.shield,
+            max: chassis.shield,
+            regenRate: chassis.shieldRegen, // per second
             regenDelay: 2000, // delay after taking damage
-            lastDamageTime: 0,
+            regenTimer: 0, // ms until regeneration resumes
             active: true
         };
         
+        // Active power-up effects, keyed by power-up type
+        this.effects = {};
+        this.fireRateMultiplier = 1;
+        this.damageImmune = false;
+        
         // Visual effects
         this.thrusterEmitter = null;
         this.showThrust = false;
@@ -207,7 +321,7 @@ class Player extends Entity {
 
         // Apply auto-rotation if enabled and no manual rotation input is active
         if (this.autoRotate && !this.input.rotateLeft && !this.input.rotateRight) {
-            this.rotation += this.rotationSpeed * dt;
+            this.rotation += this.turnSpeed * dt;
         }
         
         // Handle input
@@ -224,6 +338,9 @@ class Player extends Entity {
             this.ability.cooldown -= deltaTime;
         }
         
+        // Update power-up effects
+        this.updateEffects(deltaTime);
+        
         // Update thruster particles
         if (this.showThrust && this.thrusterEmitter) {
             const thrusterX = this.x - Math.cos(this.rotation) * this.size;
@@ -236,10 +353,10 @@ class Player extends Entity {
     handleInput(dt, game) {
         // Rotation
         if (this.input.rotateLeft) {
-            this.rotation -= this.rotationSpeed * dt;
+            this.rotation -= this.turnSpeed * dt;
         }
         if (this.input.rotateRight) {
-            this.rotation += this.rotationSpeed * dt;
+            this.rotation += this.turnSpeed * dt;
         }
         
         // Thrust
@@ -274,15 +391,7 @@ class Player extends Entity {
     
     updateWeapon(deltaTime, game) {
         // Cool down weapon heat
-        if (this.weapon.heat > 0) {
-            this.weapon.heat -= this.weapon.cooldownRate * (deltaTime / 1000);
-            this.weapon.heat = Math.max(0, this.weapon.heat);
-        }
-        
-        // Check if weapon is no longer overheated
-        if (this.weapon.overheated && this.weapon.heat < this.weapon.maxHeat * 0.3) {
-            this.weapon.overheated = false;
-        }
+        this.weapon.update(deltaTime);
 
         // Auto-fire if enabled
         if (this.autoFire) {
@@ -291,50 +400,25 @@ class Player extends Entity {
     }
     
     updateShield(deltaTime) {
-        const now = Date.now();
+        if (this.shield.regenTimer > 0) {
+            this.shield.regenTimer -= deltaTime;
+        }
         
         // Regenerate shield if not recently damaged
-        if (this.shield.current < this.shield.max && 
-            now - this.shield.lastDamageTime > this.shield.regenDelay) {
+        if (this.shield.current < this.shield.max && this.shield.regenTimer <= 0) {
             this.shield.current += this.shield.regenRate * (deltaTime / 1000);
             this.shield.current = Math.min(this.shield.current, this.shield.max);
         }
     }
     
     fire(game) {
-        const now = Date.now();
-        
-        // Check fire rate and heat
-        if (now - this.weapon.lastFired < this.weapon.fireRate || 
-            this.weapon.overheated) {
-            return;
-        }
-        
-        // Add heat
-        this.weapon.heat += this.weapon.heatPerShot;
-        if (this.weapon.heat >= this.weapon.maxHeat) {
-            this.weapon.overheated = true;
-        }
-        
-        // Create projectile
-        const projectileX = this.x + Math.cos(this.rotation) * this.size;
-        const projectileY = this.y + Math.sin(this.rotation) * this.size;
-        
-        const projectile = new Projectile(projectileX, projectileY, {
-            rotation: this.rotation,
-            owner: this,
-            damage: 25,
-            speed: 400,
-            color: '#00ffff'
-        });
-        
-        game.addEntity(projectile);
-        this.weapon.lastFired = now;
-        
-        // Play sound effect (if audio system is available)
-        if (game.audio) {
-            game.audio.play('laser');
-        }
+        // Fire rate, heat and overheat are handled by the weapon
+        this.weapon.fire(game);
+    }
+    
+    equipWeapon(weapon) {
+        UpgradeSystem.applyToWeapon(weapon, this.upgradeLevels);
+        this.weapon = weapon;
     }
     
     useAbility(game) {
@@ -360,8 +444,8 @@ class Player extends Entity {
         ParticleEffects.warp(game.particles, this.x, this.y);
         
         // Teleport to random location
-        this.x = Utils.random(50, game.canvas.width - 50);
-        this.y = Utils.random(50, game.canvas.height - 50);
+        this.x = Utils.random(50, game.width - 50, 'combat');
+        this.y = Utils.random(50, game.height - 50, 'combat');
         
         // Create warp effect at new position
         ParticleEffects.warp(game.particles, this.x, this.y);
@@ -395,19 +479,71 @@ class Player extends Entity {
         });
     }
     
-    takeDamage(amount) {
-        // Shield absorbs damage first
+    addEffect(type, duration) {
+        const definition = PowerupEffects[type];
+        if (!definition) return;
+        
+        const effect = this.effects[type];
+        if (effect) {
+            // Already active - refresh or extend the timer
+            if (definition.stacking === 'extend') {
+                effect.remaining = Math.min(effect.remaining + duration, definition.maxDuration || Infinity);
+            } else {
+                effect.remaining = Math.max(effect.remaining, duration);
+            }
+            effect.duration = Math.max(effect.duration, effect.remaining);
+            return;
+        }
+        
+        this.effects[type] = { type, remaining: duration, duration };
+        definition.apply(this, this.effects[type]);
+    }
+    
+    removeEffect(type) {
+        const effect = this.effects[type];
+        if (!effect) return;
+        
+        PowerupEffects[type].remove(this, effect);
+        delete this.effects[type];
+    }
+    
+    clearEffects() {
+        for (const type in this.effects) {
+            this.removeEffect(type);
+        }
+    }
+    
+    hasEffect(type) {
+        return !!this.effects[type];
+    }
+    
+    updateEffects(deltaTime) {
+        for (const type in this.effects) {
+            this.effects[type].remaining -= deltaTime;
+            if (this.effects[type].remaining <= 0) {
+                this.removeEffect(type);
+            }
+        }
+    }
+    
+    takeDamage(damage) {
+        // Aegis shield blocks all damage
+        if (this.damageImmune) return false;
+        
+        // Shield absorbs damage first, before armor
+        let amount = damage.amount;
         if (this.shield.current > 0) {
             const shieldDamage = Math.min(amount, this.shield.current);
             this.shield.current -= shieldDamage;
+            damage.absorbed += shieldDamage;
             amount -= shieldDamage;
-            this.shield.lastDamageTime = Date.now();
+            this.shield.regenTimer = this.shield.regenDelay;
             
             if (amount <= 0) return false; // Shield absorbed all damage
         }
         
         // Apply remaining damage to health
-        return super.takeDamage(amount);
+        return super.takeDamage(damage, amount);
     }
     
     draw(ctx) {
@@ -416,11 +552,14 @@ class Player extends Entity {
         ctx.lineWidth = this.lineWidth;
         ctx.beginPath();
         
-        // Ship shape (triangle)
-        ctx.moveTo(this.size, 0);
-        ctx.lineTo(-this.size * 0.7, -this.size * 0.5);
-        ctx.lineTo(-this.size * 0.3, 0);
-        ctx.lineTo(-this.size * 0.7, this.size * 0.5);
+        // Ship shape (chassis silhouette)
+        this.chassis.silhouette.forEach(([px, py], i) => {
+            if (i === 0) {
+                ctx.moveTo(px * this.size, py * this.size);
+            } else {
+                ctx.lineTo(px * this.size, py * this.size);
+            }
+        });
         ctx.closePath();
         ctx.stroke();
         
@@ -444,6 +583,17 @@ class Player extends Entity {
             ctx.arc(0, 0, this.size + 5, 0, Math.PI * 2);
             ctx.stroke();
         }
+        
+        // Draw aegis shield
+        if (this.damageImmune) {
+            ctx.strokeStyle = '#00ffff';
+            ctx.lineWidth = 2;
+            ctx.setLineDash([4, 4]);
+            ctx.beginPath();
+            ctx.arc(0, 0, this.size + 9, 0, Math.PI * 2);
+            ctx.stroke();
+            ctx.setLineDash([]);
+        }
     }
 }
 
@@ -457,13 +607,15 @@ class Asteroid extends Entity {
             color: '#888888',
             strokeColor: '#aaaaaa',
             health: { max: sizeData.health },
+            resistances: { kinetic: 0.25, plasma: -0.25 }, // Rock shrugs off slugs, melts under plasma
             physics: {
                 mass: sizeData.mass,
                 maxVelocity: sizeData.maxVelocity,
                 collisionRadius: sizeData.radius,
                 damping: 1.0 // No damping for asteroids
             },
-            rotationSpeed: Utils.random(-2, 2),
+            rotationSpeed: Utils.random(-2, 2, 'spawning'),
+            lootTable: `asteroid_${size}`,
             ...options
         });
         
@@ -471,10 +623,11 @@ class Asteroid extends Entity {
         this.radius = sizeData.radius;
         this.points = this.generateShape();
         this.scoreValue = sizeData.score;
+        PhysicsEngine.setShape(this.physics, this.points);
         
         // Give random initial velocity
-        const angle = Utils.random(0, Math.PI * 2);
-        const speed = Utils.random(20, 60);
+        const angle = Utils.random(0, Math.PI * 2, 'spawning');
+        const speed = Utils.random(20, 60, 'spawning');
         this.physics.velocity.x = Math.cos(angle) * speed;
         this.physics.velocity.y = Math.sin(angle) * speed;
     }
@@ -490,11 +643,11 @@ class Asteroid extends Entity {
     
     generateShape() {
         const points = [];
-        const numPoints = Utils.randomInt(8, 12);
+        const numPoints = Utils.randomInt(8, 12, 'spawning');
         
         for (let i = 0; i < numPoints; i++) {
             const angle = (Math.PI * 2 * i) / numPoints;
-            const radiusVariation = Utils.random(0.7, 1.3);
+            const radiusVariation = Utils.random(0.7, 1.3, 'spawning');
             const radius = this.radius * radiusVariation;
             
             points.push({
@@ -506,6 +659,11 @@ class Asteroid extends Entity {
         return points;
     }
     
+    // Outline vertices reach up to 1.3x the radius
+    getRenderRadius() {
+        return this.radius * 1.3 * this.scale;
+    }
+    
     destroy() {
         super.destroy();
         
@@ -519,9 +677,9 @@ class Asteroid extends Entity {
         
         if (this.size === 'large') {
             // Create 2-3 medium asteroids
-            const count = Utils.randomInt(2, 3);
+            const count = Utils.randomInt(2, 3, 'spawning');
             for (let i = 0; i < count; i++) {
-                const angle = (Math.PI * 2 * i) / count + Utils.random(-0.5, 0.5);
+                const angle = (Math.PI * 2 * i) / count + Utils.random(-0.5, 0.5, 'spawning');
                 const distance = this.radius * 0.5;
                 const x = this.x + Math.cos(angle) * distance;
                 const y = this.y + Math.sin(angle) * distance;
@@ -531,7 +689,7 @@ class Asteroid extends Entity {
         } else if (this.size === 'medium') {
             // Create 2 small asteroids
             for (let i = 0; i < 2; i++) {
-                const angle = (Math.PI * i) + Utils.random(-0.5, 0.5);
+                const angle = (Math.PI * i) + Utils.random(-0.5, 0.5, 'spawning');
                 const distance = this.radius * 0.5;
                 const x = this.x + Math.cos(angle) * distance;
                 const y = this.y + Math.sin(angle) * distance;
@@ -572,12 +730,15 @@ class Projectile extends Entity {
             physics: {
                 mass: 0.1,
                 collisionRadius: 3,
-                screenWrap: false
+                damping: Projectile.DAMPING,
+                screenWrap: false,
+                continuous: true
             },
             ...options
         });
         
         this.damage = options.damage || 25;
+        this.damageType = options.damageType || DamageTypes.KINETIC;
         this.speed = options.speed || 300;
         this.owner = options.owner || null;
         this.lifetime = options.lifetime || 3000; // 3 seconds
@@ -590,8 +751,8 @@ class Projectile extends Entity {
         
         // Add owner's velocity for realistic physics
         if (this.owner && this.owner.physics) {
-            this.physics.velocity.x += this.owner.physics.velocity.x * 0.5;
-            this.physics.velocity.y += this.owner.physics.velocity.y * 0.5;
+            this.physics.velocity.x += this.owner.physics.velocity.x * Projectile.INHERITED_VELOCITY;
+            this.physics.velocity.y += this.owner.physics.velocity.y * Projectile.INHERITED_VELOCITY;
         }
     }
     
@@ -606,8 +767,9 @@ class Projectile extends Entity {
         }
         
         // Remove if off-screen (since screen wrap is disabled)
-        if (this.x < -50 || this.x > game.canvas.width + 50 ||
-            this.y < -50 || this.y > game.canvas.height + 50) {
+        const margin = Projectile.OFFSCREEN_MARGIN;
+        if (this.x < -margin || this.x > game.width + margin ||
+            this.y < -margin || this.y > game.height + margin) {
             this.destroy();
         }
     }
@@ -629,6 +791,15 @@ class Projectile extends Entity {
     }
 }
 
+// Velocity kept each step, shots slow down as they travel
+Projectile.DAMPING = 0.99;
+
+// Share of the owner's velocity a shot starts with
+Projectile.INHERITED_VELOCITY = 0.5;
+
+// Distance past the field edge at which shots are removed
+Projectile.OFFSCREEN_MARGIN = 50;
+
 // Export classes
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = { Entity, Player, Asteroid, Projectile };
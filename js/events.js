@@ -0,0 +1,76 @@
+// Void Drifter - Event Bus
+
+// Publish/subscribe hub for gameplay events, one per Game (game.events)
+// Events emitted by Game and its entities, with their payloads:
+//   gameStarted       { mode }
+//   gameOver          { outcome, score, wave }
+//   waveStarted       { wave }
+//   waveCompleted     { wave }
+//   bossSpawned       { boss }
+//   bossPhaseChanged  { boss, phase }
+//   scoreChanged      { score, previous }
+//   damageDealt       { target, damage }
+//   playerHit         { player, damage }
+//   projectileImpact  { projectile, target, damage, point }
+//   entityDestroyed   { entity, damage }
+//   playerDestroyed   { player, lives }
+//   playerRespawned   { player }
+//   warpedIn          { entity }
+//   pickupCollected   { pickup, player }
+//   resourceCollected { type, amount }
+//   powerupActivated  { type, duration }
+//   weaponFired       { weapon, owner, shots }
+//   overheated        { weapon, owner }
+class EventBus {
+    constructor() {
+        this.listeners = {};
+    }
+
+    // Subscribe to an event, returns a function that unsubscribes
+    on(event, listener) {
+        if (!this.listeners[event]) {
+            this.listeners[event] = [];
+        }
+        this.listeners[event].push(listener);
+
+        return () => this.off(event, listener);
+    }
+
+    // Subscribe for the next emit only
+    once(event, listener) {
+        const unsubscribe = this.on(event, payload => {
+            unsubscribe();
+            listener(payload);
+        });
+        return unsubscribe;
+    }
+
+    off(event, listener) {
+        const listeners = this.listeners[event];
+        if (!listeners) return;
+
+        const index = listeners.indexOf(listener);
+        if (index !== -1) {
+            listeners.splice(index, 1);
+        }
+    }
+
+    emit(event, payload = {}) {
+        const listeners = this.listeners[event];
+        if (!listeners) return;
+
+        // Copy so listeners can unsubscribe while being called
+        for (const listener of [...listeners]) {
+            listener(payload);
+        }
+    }
+
+    clear() {
+        this.listeners = {};
+    }
+}
+
+// Export class
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = EventBus;
+}
@@ -1,21 +1,43 @@
 // Void Drifter - Main Game Logic
 
 class Game {
-    constructor(canvasId) {
-        this.canvas = document.getElementById(canvasId);
-        this.ctx = this.canvas.getContext('2d');
-        this.width = this.canvas.width;
-        this.height = this.canvas.height;
+    // options.headless: simulation only, without canvas, DOM, audio or keyboard (stepped manually, e.g. in tests)
+    // options.width, options.height: field size when headless
+    constructor(canvasId, options = {}) {
+        this.headless = options.headless || false;
+        if (this.headless) {
+            this.canvas = null;
+            this.ctx = HeadlessRenderer.createContext();
+            this.width = options.width || Game.WIDTH;
+            this.height = options.height || Game.HEIGHT;
+        } else {
+            this.canvas = document.getElementById(canvasId);
+            this.ctx = this.canvas.getContext('2d');
+            this.width = this.canvas.width;
+            this.height = this.canvas.height;
+        }
 
-        this.state = 'menu'; // menu, playing, paused, gameover
+        this.state = 'menu'; // menu, playing, paused, intermission, gameover
         this.lastTime = 0;
         this.animationFrameId = null;
 
+        // Fixed-step simulation
+        this.accumulator = 0; // real time not yet simulated (ms)
+        this.time = 0; // simulation time of the current run (ms)
+        this.tick = 0; // simulation steps taken in the current run
+
         // Game components
+        this.events = new EventBus();
         this.physics = new PhysicsEngine(this.width, this.height);
         this.particles = new ParticleSystem();
-        this.audio = new AudioManager();
-        this.ui = new UIManager(this);
+        this.audio = this.headless ? new HeadlessAudio() : new AudioManager();
+        this.ui = this.headless ? new HeadlessUI(this) : new UIManager(this);
+        this.stats = new StatsTracker(this.events);
+
+        // Effects and sound react to gameplay events
+        ParticleEffects.subscribe(this.events, this.particles);
+        this.audio.subscribe(this.events);
+        this.ui.subscribe(this.events);
 
         // Game objects
         this.player = null;
@@ -26,38 +48,114 @@ class Game {
         this.lives = 3;
         this.wave = 0;
         this.lastGameMode = 'gauntlet';
+        this.lastModeOptions = {};
+        this.mode = null;
+        this.seed = 0; // rng seed of the current run
         this.runStats = { scrap: 0, crystals: 0 };
-
-        // Player progression data
+        this.runRewards = { scrap: 0, crystals: 0 };
+        this.intermissionCallback = null;
+        this.respawnPending = false; // player destroyed, waiting for a safe respawn
+        this.respawnTimer = 0; // ms waited so far
+
+        // Replays: the run being recorded, the replay being watched, and the last finished recording
+        this.recorder = null;
+        this.replayPlayer = null;
+        this.lastReplay = null;
+        this.fastForwarding = false; // seeking through a replay
+
+        // Player progression data for the last used profile
+        this.profile = ProfileManager.getActive();
         this.playerData = this.loadPlayerData();
+        this.applySettings();
+
+        // Collision responses by entity type pair
+        this.initCollisionHandlers();
 
         // Input handling
         this.keys = {};
-        this.initInput();
+        if (!this.headless) {
+            this.initInput();
+        }
 
         // Show main menu on start
         this.ui.showMenu('main');
     }
 
     loadPlayerData() {
-        const defaultData = {
-            scrap: 0,
-            crystals: 0,
-            chassis: 'default',
-            weapon: 'blaster',
-            ability: 'hyperspace',
-            unlocked: {
-                chassis: ['default'],
-                weapons: ['blaster'],
-                abilities: ['hyperspace']
-            },
-            upgrades: {}
-        };
-        return Utils.storage.load('voidDrifterData', defaultData);
+        return SaveManager.load(this.profile.id);
     }
 
     savePlayerData() {
-        Utils.storage.save('voidDrifterData', this.playerData);
+        SaveManager.save(this.playerData, this.profile.id);
+    }
+
+    applySettings() {
+        const settings = this.playerData.settings;
+        this.audio.setMasterVolume(settings.masterVolume);
+        this.audio.setSfxVolume(settings.sfxVolume);
+        this.audio.setMusicVolume(settings.musicVolume);
+        if (this.audio.isMuted !== settings.muted) {
+            this.audio.toggleMute();
+        }
+    }
+
+    // Change audio settings and keep them with the profile
+    updateSettings(changes) {
+        Object.assign(this.playerData.settings, changes);
+        this.applySettings();
+        this.savePlayerData();
+    }
+
+    switchProfile(id) {
+        if (!ProfileManager.setActive(id)) return false;
+
+        this.profile = ProfileManager.getActive();
+        this.playerData = this.loadPlayerData();
+        this.applySettings();
+        return true;
+    }
+
+    // Delete a profile, switching away from it if it was in use
+    deleteProfile(id) {
+        const result = ProfileManager.remove(id);
+        if (result.success && id === this.profile.id) {
+            this.switchProfile(ProfileManager.getActive().id);
+        }
+        return result;
+    }
+
+    // Replace progression with imported data, keeping the old save as a backup
+    importPlayerData(data) {
+        Utils.storage.save(SaveManager.getBackupKey(this.profile.id), this.playerData);
+        this.playerData = data;
+        this.savePlayerData();
+    }
+
+    // Buy a hangar item, returns { success, reason }
+    purchaseItem(category, id) {
+        const result = Shop.purchase(this.playerData, category, id);
+        if (result.success) {
+            this.savePlayerData();
+        }
+        return result;
+    }
+
+    // Buy the next level of an upgrade, returns { success, reason }
+    purchaseUpgrade(id) {
+        const result = UpgradeSystem.purchase(this.playerData, id);
+        if (result.success) {
+            this.savePlayerData();
+        }
+        return result;
+    }
+
+    // Equip an unlocked hangar item
+    selectItem(category, id) {
+        if (!Shop.isUnlocked(this.playerData, category, id)) return false;
+
+        this.playerData[Shop.selectionKeys[category]] = id;
+        this.savePlayerData();
+        return true;
     }
 
     initInput() {
@@ -65,44 +163,140 @@ class Game {
         window.addEventListener('keyup', (e) => this.keys[e.key.toLowerCase()] = false);
     }
 
-    startGame(mode) {
+    // Equipment and upgrades the next run starts with, recorded in replays
+    getLoadout() {
+        return {
+            chassis: this.playerData.chassis,
+            weapon: this.playerData.weapon,
+            ability: this.playerData.ability,
+            upgrades: { ...this.playerData.upgrades }
+        };
+    }
+
+    // modeOptions.seed replays a specific run (e.g. the daily challenge), otherwise a new seed is rolled
+    startGame(mode, modeOptions = {}) {
         this.lastGameMode = mode;
+        this.lastModeOptions = modeOptions;
+        this.replayPlayer = null;
+
+        const seed = modeOptions.seed !== undefined ? modeOptions.seed : Utils.rng.createSeed();
+        const loadout = this.getLoadout();
+        this.recorder = new ReplayRecorder({ mode, modeOptions, seed, loadout });
+        this.beginRun(mode, modeOptions, seed, loadout);
+    }
+
+    // Watch a recorded run
+    startReplay(replay) {
+        this.recorder = null;
+        this.replayPlayer = new ReplayPlayer(replay);
+        this.restartReplay();
+        this.ui.showReplayControls();
+    }
+
+    restartReplay() {
+        const replay = this.replayPlayer.replay;
+        this.replayPlayer.rewind();
+        this.beginRun(replay.mode, replay.modeOptions, replay.seed, replay.loadout);
+    }
+
+    // Jump to a step of the replay by re-simulating up to it (from the start when going back)
+    seekReplay(tick) {
+        if (!this.replayPlayer) return;
+
+        if (tick < this.tick) {
+            this.restartReplay();
+        }
+
+        this.fastForwarding = true;
+        this.audio.suppressed = true;
+        while (this.tick < tick && !this.replayPlayer.finished) {
+            this.step();
+        }
+        this.fastForwarding = false;
+        this.audio.suppressed = false;
+        this.ui.updateHUD();
+    }
+
+    stopReplay() {
+        this.replayPlayer = null;
+        this.state = 'menu';
+        this.ui.hideReplayControls();
+        this.ui.hideHUD();
+        this.ui.showMenu('main');
+    }
+
+    // Set up a run from its seed and loadout, shared by live play and replays
+    beginRun(mode, modeOptions, seed, loadout) {
+        this.seed = seed;
+        Utils.rng.setSeed(this.seed);
+        this.mode = GameModeFactory.create(mode, modeOptions);
         this.state = 'playing';
         
         // Reset game state
         this.score = 0;
-        this.lives = 3;
+        this.lives = this.mode.startingLives;
         this.wave = 0;
+        this.time = 0;
+        this.tick = 0;
+        this.accumulator = 0;
         this.entities = [];
         this.particles.clear();
         this.runStats = { scrap: 0, crystals: 0 };
+        this.runRewards = { scrap: 0, crystals: 0 };
+        this.intermissionCallback = null;
+        this.respawnPending = false;
 
         // Create player
-        this.player = new Player(this.width / 2, this.height / 2);
-        this.player.weapon = WeaponFactory.create(this.playerData.weapon, this.player);
-        this.player.ability.type = this.playerData.ability;
-        this.player.autoFire = true; // Enable auto-fire
-        this.player.autoRotate = true; // Enable auto-rotate
+        this.player = new Player(this.width / 2, this.height / 2, {
+            chassis: loadout.chassis,
+            upgrades: loadout.upgrades
+        });
+        this.player.ability.type = loadout.ability;
+        UpgradeSystem.applyToPlayer(this.player, loadout.upgrades);
+        this.player.equipWeapon(WeaponFactory.create(loadout.weapon, this.player));
+        this.player.autoFire = this.mode.autoFire;
+        this.player.autoRotate = this.mode.autoRotate;
         this.addEntity(this.player);
+        this.mode.onStart(this);
+        this.events.emit('gameStarted', { mode: this.mode });
 
         // UI setup
         this.ui.hideAllMenus();
         this.ui.showHUD();
 
-        // Start game loop
+        // Start game loop, headless games are stepped by the caller
         this.startNextWave();
-        if (!this.animationFrameId) {
+        if (!this.headless && !this.animationFrameId) {
             this.gameLoop(0);
         }
     }
 
-    endGame() {
+    endGame(outcome = 'defeat') {
+        // A replay stops on its last frame, nothing is rewarded or saved
+        if (this.replayPlayer) {
+            this.replayPlayer.finished = true;
+            return;
+        }
+
         this.state = 'gameover';
+        this.intermissionCallback = null;
         
         // Add earned resources to player data
-        this.playerData.scrap += this.runStats.scrap;
-        this.playerData.crystals += this.runStats.crystals;
-        this.savePlayerData();
+        if (this.mode.isRanked()) {
+            this.runRewards = this.mode.calculateRewards(this, outcome);
+            this.playerData.scrap += this.runRewards.scrap;
+            this.playerData.crystals += this.runRewards.crystals;
+            SaveManager.addHighScore(this.playerData, this.mode.highScoreTable, {
+                score: this.score,
+                wave: this.wave,
+                seed: this.seed,
+                date: new Date().toISOString()
+            });
+            this.savePlayerData();
+        }
+        this.lastReplay = this.recorder.finish({ score: this.score, wave: this.wave, outcome });
+        this.recorder = null;
+        this.events.emit('gameOver', { outcome, score: this.score, wave: this.wave });
 
         this.ui.hideHUD();
         this.ui.showMenu('gameOver');
@@ -118,47 +312,91 @@ class Game {
         }
     }
 
+    // Pause between waves while the player picks one of the offered choices
+    beginIntermission(choices, onChoose) {
+        this.state = 'intermission';
+        this.intermissionCallback = onChoose;
+
+        // Replays make the recorded choice straight away
+        if (this.replayPlayer) {
+            this.chooseIntermissionOption(this.replayPlayer.takeChoice());
+            return;
+        }
+        this.ui.showWaveChoices(choices);
+    }
+
+    chooseIntermissionOption(choice) {
+        if (this.state !== 'intermission') return;
+
+        if (this.recorder) {
+            this.recorder.recordChoice(choice);
+        }
+
+        const callback = this.intermissionCallback;
+        this.intermissionCallback = null;
+        if (callback) callback(choice);
+
+        this.state = 'playing';
+        this.ui.hideAllMenus();
+        this.startNextWave();
+    }
+
     startNextWave() {
         this.wave++;
-        this.ui.showWaveStart(this.wave);
-
-        // Spawn asteroids
-        const asteroidCount = 2 + this.wave;
-        for (let i = 0; i < asteroidCount; i++) {
-            const x = Math.random() > 0.5 ? 0 : this.width;
-            const y = Math.random() * this.height;
-            this.addEntity(new Asteroid(x, y, 'large'));
-        }
-
-        // Spawn enemies
-        if (this.wave > 1) {
-            const enemyCount = Math.floor(this.wave / 2);
-            for (let i = 0; i < enemyCount; i++) {
-                const x = Math.random() * this.width;
-                const y = Math.random() > 0.5 ? 0 : this.height;
-                const type = EnemyFactory.getRandomType();
-                this.addEntity(EnemyFactory.create(type, x, y));
-            }
-        }
+        this.events.emit('waveStarted', { wave: this.wave });
+        this.mode.spawnWave(this);
     }
 
     gameLoop(timestamp) {
-        const deltaTime = timestamp - this.lastTime;
+        // Cap real time per frame so a long stall (tab switch) can't cause a huge catch-up
+        const frameTime = this.lastTime ? Math.min(timestamp - this.lastTime, Game.MAX_FRAME_TIME) : 0;
         this.lastTime = timestamp;
 
         if (this.state === 'playing') {
-            this.update(deltaTime);
+            // Replays can be paused or run at a different speed
+            this.accumulator += this.replayPlayer ? this.replayPlayer.scaleFrameTime(frameTime) : frameTime;
+            while (this.accumulator >= Game.TIMESTEP && this.isSimulating()) {
+                this.step();
+                this.accumulator -= Game.TIMESTEP;
+            }
+        } else {
+            this.accumulator = 0;
         }
         
-        this.render();
+        // Render between the last two simulation states
+        this.render(this.state === 'playing' ? this.accumulator / Game.TIMESTEP : 1);
 
         this.animationFrameId = requestAnimationFrame((t) => this.gameLoop(t));
     }
 
+    isSimulating() {
+        return this.state === 'playing' && !(this.replayPlayer && this.replayPlayer.finished);
+    }
+
+    // Advance the simulation by one fixed step
+    step() {
+        // Replays of quit runs end without an outcome
+        if (this.replayPlayer && this.tick >= this.replayPlayer.replay.ticks) {
+            this.replayPlayer.finished = true;
+            return;
+        }
+
+        for (const entity of this.entities) {
+            entity.savePreviousState();
+        }
+
+        this.update(Game.TIMESTEP);
+        this.time += Game.TIMESTEP;
+        this.tick++;
+    }
+
     update(deltaTime) {
         // Handle player input
         this.handlePlayerInput();
 
+        // Broad phase for AI lookups of nearby entities, shots fired this step show up in the next
+        this.physics.buildGrid(this.entities);
+
         // Update all entities
         for (let i = this.entities.length - 1; i >= 0; i--) {
             const entity = this.entities[i];
@@ -176,103 +414,148 @@ class Game {
         // Handle collisions
         this.checkCollisions();
 
+        // Bring the player back once it is safe
+        if (this.respawnPending) {
+            this.updateRespawn(deltaTime);
+        }
+
+        // Mode-specific rules
+        this.mode.update(deltaTime, this);
+
+        // Check for the end of the run
+        const outcome = this.mode.checkOutcome(this);
+        if (outcome) {
+            this.endGame(outcome);
+            return;
+        }
+
         // Check for wave completion
         if (this.isWaveComplete()) {
-            this.startNextWave();
+            this.events.emit('waveCompleted', { wave: this.wave });
+            this.mode.onWaveComplete(this);
         }
 
         // Update UI
         this.ui.updateHUD();
     }
 
+    // Input comes from the keyboard (recorded every step) or from the replay being watched
     handlePlayerInput() {
+        let bits;
+        if (this.replayPlayer) {
+            bits = this.replayPlayer.inputAt(this.tick);
+        } else {
+            bits = Replay.pack({
+                thrust: this.keys['w'] || this.keys['arrowup'],
+                rotateLeft: this.keys['a'] || this.keys['arrowleft'],
+                rotateRight: this.keys['d'] || this.keys['arrowright'],
+                fire: this.keys[' '], // Space bar
+                ability: this.keys['shift']
+            });
+            if (this.recorder) this.recorder.record(bits);
+
+            if (this.keys['p']) {
+                this.togglePause();
+                this.keys['p'] = false; // Prevent rapid toggling
+            }
+        }
+
         if (!this.player || !this.player.alive) return;
 
-        this.player.input.thrust = this.keys['w'] || this.keys['arrowup'];
-        this.player.input.rotateLeft = this.keys['a'] || this.keys['arrowleft'];
-        this.player.input.rotateRight = this.keys['d'] || this.keys['arrowright'];
-        this.player.input.fire = this.keys[' ']; // Space bar
-        this.player.input.ability = this.keys['shift'];
-        
-        if (this.keys['p']) {
-            this.togglePause();
-            this.keys['p'] = false; // Prevent rapid toggling
-        }
+        Replay.unpack(bits, this.player.input);
+    }
+
+    // Build the lookup table used by handleCollision, registered for both argument orders
+    initCollisionHandlers() {
+        this.collisionHandlers = {};
+
+        const on = (typeA, typeB, handler) => {
+            if (!this.collisionHandlers[typeA]) this.collisionHandlers[typeA] = {};
+            if (!this.collisionHandlers[typeB]) this.collisionHandlers[typeB] = {};
+            this.collisionHandlers[typeA][typeB] = handler;
+            this.collisionHandlers[typeB][typeA] = (b, a, contact) => handler(a, b, PhysicsEngine.reverseContact(contact));
+        };
+        const bounce = (a, b, contact) => this.physics.handleCollision(a, b, contact);
+
+        on('player', 'asteroid', (player, asteroid, contact) => this.playerHit(player, asteroid, contact));
+        on('player', 'enemy', (player, enemy, contact) => this.playerHit(player, enemy, contact));
+        on('projectile', 'asteroid', (projectile, target, contact) => this.projectileHit(projectile, target, contact));
+        on('projectile', 'enemy', (projectile, target, contact) => this.projectileHit(projectile, target, contact));
+        on('projectile', 'player', (projectile, target, contact) => this.projectileHit(projectile, target, contact));
+        on('pickup', 'player', (pickup, player) => this.pickupCollected(pickup, player));
+        on('asteroid', 'asteroid', bounce);
+        on('asteroid', 'enemy', bounce);
+        on('enemy', 'enemy', bounce);
     }
 
     checkCollisions() {
-        for (let i = 0; i < this.entities.length; i++) {
-            for (let j = i + 1; j < this.entities.length; j++) {
-                const e1 = this.entities[i];
-                const e2 = this.entities[j];
-
-                if (this.physics.checkCollision(e1, e2)) {
-                    this.handleCollision(e1, e2);
-                }
-            }
+        this.physics.findCollisionPairs(this.entities, (e1, e2, contact) => this.handleCollision(e1, e2, contact));
+    }
+
+    handleCollision(e1, e2, contact) {
+        const handlers = this.collisionHandlers[e1.type];
+        const handler = handlers && handlers[e2.type];
+        if (handler) {
+            handler(e1, e2, contact);
         }
     }
 
-    handleCollision(e1, e2) {
-        const types = [e1.type, e2.type].sort().join('-');
-        
-        switch (types) {
-            case 'asteroid-player':
-                this.playerHit(e1.type === 'player' ? e1 : e2, e1.type === 'asteroid' ? e1 : e2);
-                break;
-            case 'enemy-player':
-                this.playerHit(e1.type === 'player' ? e1 : e2, e1.type === 'enemy' ? e1 : e2);
-                break;
-            case 'asteroid-projectile':
-            case 'enemy-projectile':
-                this.projectileHit(
-                    e1.type === 'projectile' ? e1 : e2,
-                    e1.type !== 'projectile' ? e1 : e2
-                );
-                break;
-            case 'pickup-player':
-                this.pickupCollected(
-                    e1.type === 'pickup' ? e1 : e2,
-                    e1.type === 'player' ? e1 : e2
-                );
-                break;
-            case 'asteroid-asteroid':
-            case 'asteroid-enemy':
-            case 'enemy-enemy':
-                this.physics.handleCollision(e1, e2);
-                break;
-        }
-    }
-
-    playerHit(player, hazard) {
-        if (player.takeDamage(25)) {
-            this.playerDestroyed();
-        }
-        ParticleEffects.shieldHit(this.particles, player.x, player.y);
-        this.audio.playGenerated('hit');
-    }
-
-    projectileHit(projectile, target) {
+    // Ramming: both sides take collision damage from their relative velocity and masses
+    playerHit(player, hazard, contact = null) {
+        const [toPlayer, toHazard] = DamageSystem.collisionDamage(player, hazard);
+
+        this.applyDamage(player, DamageSystem.createEvent(toPlayer, DamageTypes.COLLISION, hazard, { point: contact }));
+        if (hazard.alive) {
+            this.applyDamage(hazard, DamageSystem.createEvent(toHazard, DamageTypes.COLLISION, player, { point: contact }));
+        }
+    }
+
+    // contact: point and time of impact from the swept test
+    projectileHit(projectile, target, contact = null) {
         if (projectile.owner === target || target.owner === projectile) return;
+        if (projectile.owner && projectile.owner.getRoot() === target.getRoot()) return; // e.g. boss turrets and hull
         
-        if (target.takeDamage(projectile.damage)) {
-            this.entityDestroyed(target);
-        }
+        const damage = DamageSystem.createEvent(projectile.damage, projectile.damageType, projectile, {
+            attacker: projectile.owner,
+            point: contact
+        });
+        this.applyDamage(target, damage);
         
         projectile.destroy();
-        ParticleEffects.sparks(this.particles, projectile.x, projectile.y);
+        const point = contact ? { x: contact.x, y: contact.y } : { x: projectile.x, y: projectile.y };
+        this.events.emit('projectileImpact', { projectile, target, damage, point });
+    }
+
+    // Deal a damage event to an entity, returns true if it was destroyed
+    applyDamage(target, damage) {
+        const destroyed = target.takeDamage(damage);
+        this.events.emit('damageDealt', { target, damage });
+
+        if (target === this.player) {
+            this.events.emit('playerHit', { player: target, damage });
+            if (destroyed) {
+                this.playerDestroyed();
+            }
+        } else if (destroyed) {
+            this.entityDestroyed(target, damage);
+        }
+
+        return destroyed;
     }
     
     pickupCollected(pickup, player) {
         if (pickup.onCollect) {
             pickup.onCollect(player, this);
         }
+        this.events.emit('pickupCollected', { pickup, player });
     }
 
-    entityDestroyed(entity) {
-        this.score += entity.scoreValue || 0;
-        ParticleEffects.explosion(this.particles, entity.x, entity.y);
-        this.audio.playGenerated('explosion');
+    // damage: the killing blow, only kills credited to the player score
+    entityDestroyed(entity, damage = null) {
+        if (!damage || damage.attacker === this.player) {
+            this.addScore(this.mode.scoreFor(entity, this, damage));
+        }
+        this.events.emit('entityDestroyed', { entity, damage });
 
         if (entity.destroy) {
             const fragments = entity.destroy();
@@ -280,54 +563,123 @@ class Game {
                 fragments.forEach(f => this.addEntity(f));
             }
         }
+
+        // Resource drops and chance of a power-up
+        if (this.mode.allowLoot) {
+            entity.createLoot(this.wave).forEach(drop => this.addEntity(drop));
+
+            const powerup = PickupFactory.rollPowerupDrop(entity);
+            if (powerup) this.addEntity(powerup);
+        }
     }
 
     playerDestroyed() {
         this.lives--;
-        ParticleEffects.explosion(this.particles, this.player.x, this.player.y, { count: 50 });
-        this.audio.playGenerated('explosion');
+        this.events.emit('playerDestroyed', { player: this.player, lives: this.lives });
 
-        if (this.lives <= 0) {
-            this.endGame();
-        } else {
-            // Respawn player
-            this.player.x = this.width / 2;
-            this.player.y = this.height / 2;
-            this.player.physics.velocity = { x: 0, y: 0 };
-            this.player.heal(this.player.health.max);
-            this.player.health.invulnerable = true;
-            this.player.health.invulnerabilityTime = 3000;
+        // Running out of lives is handled by the mode's outcome check
+        if (this.lives > 0) {
+            this.respawnPending = true;
+            this.respawnTimer = 0;
+            this.updateRespawn(0);
         }
     }
 
+    getRespawnPoint() {
+        return { x: this.width / 2, y: this.height / 2 };
+    }
+
+    // Respawn as soon as the center is free of hazards, pushing them away if it hasn't cleared in time
+    updateRespawn(deltaTime) {
+        this.respawnTimer += deltaTime;
+
+        const point = this.getRespawnPoint();
+        if (SpawnRules.getHazards(this, point.x, point.y, SpawnRules.respawnClearance).length > 0) {
+            if (this.respawnTimer < SpawnRules.respawnWait) return;
+            SpawnRules.clearArea(this, point.x, point.y, SpawnRules.respawnClearance);
+        }
+
+        this.respawnPlayer(point);
+    }
+
+    respawnPlayer(point) {
+        this.respawnPending = false;
+        this.player.alive = true;
+        this.player.x = point.x;
+        this.player.y = point.y;
+        this.player.physics.velocity = { x: 0, y: 0 };
+        this.player.heal(this.player.health.max);
+        this.player.clearEffects();
+        this.player.health.invulnerable = true;
+        this.player.health.invulnerabilityTime = 3000;
+
+        // Removed from the field if it had to wait
+        if (!this.entities.includes(this.player)) {
+            this.addEntity(this.player);
+        }
+        this.events.emit('playerRespawned', { player: this.player });
+    }
+
     isWaveComplete() {
-        return this.entities.every(e => e.type === 'player' || e.type === 'projectile' || e.type === 'pickup');
+        return this.mode.isWaveComplete(this);
     }
 
     addEntity(entity) {
         this.entities.push(entity);
     }
+
+    addScore(points) {
+        if (!points) return;
+
+        const previousScore = this.score;
+        this.score += points;
+        this.mode.onScoreChanged(this, previousScore);
+        this.events.emit('scoreChanged', { score: this.score, previous: previousScore });
+    }
+    
+    activatePowerup(type, duration) {
+        if (!this.player) return;
+
+        this.player.addEffect(type, duration);
+        this.events.emit('powerupActivated', { type, duration });
+    }
     
     addResource(type, amount) {
         if (type === 'scrap') this.runStats.scrap += amount;
         if (type === 'crystal') this.runStats.crystals += amount;
+        this.events.emit('resourceCollected', { type, amount });
     }
 
-    render() {
+    render(alpha = 1) {
         // Clear canvas
         this.ctx.fillStyle = '#000011';
         this.ctx.fillRect(0, 0, this.width, this.height);
 
         // Render entities
         for (const entity of this.entities) {
-            entity.render(this.ctx);
+            entity.render(this.ctx, alpha, this);
         }
 
         // Render particles
         this.particles.render(this.ctx);
+
+        // Mode overlay (e.g. benchmark stats)
+        if (this.mode && this.state !== 'menu') {
+            this.mode.renderOverlay(this.ctx, this);
+        }
     }
 }
 
+// Field size of headless games
+Game.WIDTH = 1200;
+Game.HEIGHT = 800;
+
+// Simulation runs at a fixed 60 Hz
+Game.TIMESTEP = 1000 / 60;
+
+// Most real time simulated in one frame (ms)
+Game.MAX_FRAME_TIME = 250;
+
 // Export class
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = Game;
@@ -0,0 +1,103 @@
+// Void Drifter - Headless Stubs
+
+// Stand-ins for the browser-facing components so a Game can run without a DOM,
+// e.g. stepped from Node in tests: new Game(null, { headless: true })
+
+// 2D context that accepts and ignores every drawing call
+const HeadlessRenderer = {
+    createContext() {
+        const gradient = { addColorStop() {} };
+        const noop = () => {};
+
+        return new Proxy({}, {
+            get(target, key) {
+                if (key in target) return target[key];
+                if (key === 'createLinearGradient' || key === 'createRadialGradient') return () => gradient;
+                return noop;
+            }
+        });
+    }
+};
+
+// Silent AudioManager
+class HeadlessAudio {
+    constructor() {
+        this.masterVolume = 0.7;
+        this.sfxVolume = 1.0;
+        this.musicVolume = 0.5;
+        this.isMuted = false;
+        this.suppressed = false;
+    }
+
+    subscribe(events) {}
+    play(name, options = {}) {}
+    playGenerated(name) {}
+    playMusic(name) {}
+    stopMusic(name) {}
+    stopAllMusic() {}
+
+    setMasterVolume(volume) {
+        this.masterVolume = volume;
+    }
+
+    setSfxVolume(volume) {
+        this.sfxVolume = volume;
+    }
+
+    setMusicVolume(volume) {
+        this.musicVolume = volume;
+    }
+
+    toggleMute() {
+        this.isMuted = !this.isMuted;
+    }
+}
+
+// UIManager without a DOM, remembers what would have been shown so tests can check it
+class HeadlessUI {
+    constructor(game) {
+        this.game = game;
+        this.menu = null;
+        this.hudVisible = false;
+        this.waveChoices = [];
+        this.messages = [];
+    }
+
+    subscribe(events) {}
+
+    showMenu(menuName) {
+        this.menu = menuName;
+    }
+
+    hideAllMenus() {
+        this.menu = null;
+    }
+
+    showHUD() {
+        this.hudVisible = true;
+    }
+
+    hideHUD() {
+        this.hudVisible = false;
+    }
+
+    updateHUD() {}
+
+    showWaveChoices(choices) {
+        this.waveChoices = choices;
+        this.showMenu('waveChoice');
+    }
+
+    showMessage(text) {
+        this.messages.push(text);
+    }
+
+    showReplayControls() {}
+    hideReplayControls() {}
+    updateReplayControls() {}
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { HeadlessRenderer, HeadlessAudio, HeadlessUI };
+}
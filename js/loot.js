@@ -0,0 +1,96 @@
+// Void Drifter - Loot Tables
+
+// Loot tables, keyed by entity
+// Each entry rolls independently: chance to drop, amount range in resource units
+const LootTables = {
+    scout_saucer: [
+        { type: 'scrap', chance: 0.8, amount: [5, 10] },
+        { type: 'crystal', chance: 0.05, amount: [1, 1] }
+    ],
+    hunter_drone: [
+        { type: 'scrap', chance: 0.9, amount: [8, 15] },
+        { type: 'crystal', chance: 0.1, amount: [1, 2] }
+    ],
+    marauder_frigate: [
+        { type: 'scrap', chance: 1.0, amount: [15, 25] },
+        { type: 'crystal', chance: 0.3, amount: [1, 3] }
+    ],
+    asteroid_large: [
+        { type: 'scrap', chance: 0.3, amount: [2, 5] }
+    ],
+    asteroid_medium: [
+        { type: 'scrap', chance: 0.2, amount: [1, 3] }
+    ],
+    asteroid_small: [
+        { type: 'scrap', chance: 0.15, amount: [1, 2] },
+        { type: 'crystal', chance: 0.01, amount: [1, 1] }
+    ],
+
+    // Bosses always drop crystals
+    void_dreadnought: [
+        { type: 'scrap', chance: 1.0, amount: [40, 60] },
+        { type: 'crystal', chance: 1.0, amount: [3, 5] }
+    ]
+};
+
+// Loot generation
+const LootSystem = {
+    // Extra amount per wave after the first (0.1 = +10%)
+    waveScaling: 0.1,
+
+    // Elites always drop every entry, with multiplied amounts and a bonus
+    eliteMultiplier: 1.5,
+    eliteBonus: { type: 'crystal', chance: 1.0, amount: [1, 1] },
+
+    // Resources are split over at most this many pickups per type
+    maxPickupsPerType: 5,
+
+    // Roll a loot table, returns a list of { type, amount }
+    roll(tableId, options = {}) {
+        const table = LootTables[tableId];
+        if (!table) return [];
+
+        const wave = options.wave || 1;
+        const elite = options.elite || false;
+        const scale = 1 + Math.max(0, wave - 1) * this.waveScaling;
+        const entries = elite ? [...table, this.eliteBonus] : table;
+        const drops = [];
+
+        for (const entry of entries) {
+            if (!elite && !Utils.chance(entry.chance, 'loot')) continue;
+
+            let amount = Utils.randomInt(entry.amount[0], entry.amount[1], 'loot') * scale;
+            if (elite) amount *= this.eliteMultiplier;
+
+            drops.push({ type: entry.type, amount: Math.max(1, Math.round(amount)) });
+        }
+
+        return drops;
+    },
+
+    // Roll a loot table and create the resulting pickups
+    createDrops(tableId, x, y, options = {}) {
+        const pickups = [];
+
+        for (const drop of this.roll(tableId, options)) {
+            const count = Math.min(drop.amount, this.maxPickupsPerType);
+            const baseValue = Math.floor(drop.amount / count);
+            let remainder = drop.amount - baseValue * count;
+
+            for (let i = 0; i < count; i++) {
+                const value = baseValue + (remainder > 0 ? 1 : 0);
+                remainder--;
+
+                const pickup = PickupFactory.create(drop.type, x, y, { value });
+                if (pickup) pickups.push(pickup);
+            }
+        }
+
+        return pickups;
+    }
+};
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { LootTables, LootSystem };
+}
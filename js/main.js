@@ -8,4 +8,10 @@ document.addEventListener('DOMContentLoaded', () => {
     // and then start the game.
     
     // The game will start in the menu state, handled by UIManager.
+
+    // ?benchmark=500 skips the menu and fills the field with that many entities
+    const benchmark = new URLSearchParams(window.location.search).get('benchmark');
+    if (benchmark !== null) {
+        game.startGame('benchmark', { entityCount: parseInt(benchmark, 10) || 500 });
+    }
 });
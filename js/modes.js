@@ -0,0 +1,358 @@
+// Void Drifter - Game Modes
+
+// Base GameMode class
+class GameMode {
+    constructor(options = {}) {
+        this.id = options.id || 'mode';
+        this.name = options.name || 'Unknown Mode';
+        this.startingLives = options.startingLives || 3;
+
+        // Player control settings
+        this.autoFire = options.autoFire || false;
+        this.autoRotate = options.autoRotate || false;
+
+        // Whether destroyed entities may drop pickups
+        this.allowLoot = options.allowLoot || false;
+
+        // playerData.highScores table the run is recorded in, null for unranked runs
+        this.highScoreTable = options.highScoreTable !== undefined ? options.highScoreTable : this.id;
+    }
+
+    // Unranked runs earn no resources and are kept out of the high scores
+    isRanked() {
+        return this.highScoreTable !== null;
+    }
+
+    // Called once when a run begins, after the player is created
+    onStart(game) {
+        // To be implemented by subclasses
+    }
+
+    // Spawn the contents of the current wave (game.wave)
+    spawnWave(game) {
+        // To be implemented by subclasses
+    }
+
+    // Per-frame hook for mode-specific rules
+    update(deltaTime, game) {
+        // To be implemented by subclasses
+    }
+
+    // Draw mode-specific information over the playfield
+    renderOverlay(ctx, game) {
+        // To be implemented by subclasses
+    }
+
+    isWaveComplete(game) {
+        return game.entities.every(e => e.type === 'player' || e.type === 'projectile' || e.type === 'pickup');
+    }
+
+    // Called when the current wave has been cleared
+    onWaveComplete(game) {
+        game.startNextWave();
+    }
+
+    // Points awarded for destroying an entity, damage is the killing blow (may be null)
+    scoreFor(entity, game, damage) {
+        return entity.scoreValue || 0;
+    }
+
+    // Called whenever the score changes
+    onScoreChanged(game, previousScore) {
+        // To be implemented by subclasses
+    }
+
+    // Returns 'defeat', 'victory' or null while the run continues
+    checkOutcome(game) {
+        return game.lives <= 0 ? 'defeat' : null;
+    }
+
+    // Resources banked into playerData when the run ends
+    calculateRewards(game, outcome) {
+        return { scrap: 0, crystals: 0 };
+    }
+
+    // Spawn large asteroids along the left and right edges, away from the player
+    spawnAsteroids(game, count) {
+        for (let i = 0; i < count; i++) {
+            const position = SpawnRules.findPoint(() => ({
+                x: Utils.chance(0.5, 'spawning') ? 0 : game.width,
+                y: Utils.random(0, game.height, 'spawning')
+            }), game);
+            game.addEntity(new Asteroid(position.x, position.y, 'large'));
+        }
+    }
+}
+
+// Classic Mode - pure asteroids
+class ClassicMode extends GameMode {
+    constructor(options = {}) {
+        super({
+            id: 'classic',
+            name: 'Classic Mode',
+            startingLives: 3,
+            autoFire: false,
+            autoRotate: false,
+            allowLoot: false,
+            ...options
+        });
+
+        this.extraLifeScore = options.extraLifeScore || 10000;
+        this.scorePerScrap = options.scorePerScrap || 500;
+    }
+
+    spawnWave(game) {
+        this.spawnAsteroids(game, 2 + game.wave);
+    }
+
+    onScoreChanged(game, previousScore) {
+        // Award an extra life for every threshold crossed
+        const earned = Math.floor(game.score / this.extraLifeScore) -
+            Math.floor(previousScore / this.extraLifeScore);
+
+        if (earned > 0) {
+            game.lives += earned;
+            game.ui.showMessage('EXTRA LIFE', 2000, { color: '#00ff88' });
+        }
+    }
+
+    calculateRewards(game, outcome) {
+        // No loot in classic, so pay out a small amount of scrap for score
+        return {
+            scrap: Math.floor(game.score / this.scorePerScrap),
+            crystals: 0
+        };
+    }
+}
+
+// Gauntlet Mode - escalating roguelite run
+class GauntletMode extends GameMode {
+    constructor(options = {}) {
+        super({
+            id: 'gauntlet',
+            name: 'Gauntlet Mode',
+            startingLives: 3,
+            autoFire: true,
+            autoRotate: true,
+            allowLoot: true,
+            ...options
+        });
+
+        // Runs on a player-made wave set are unranked unless a table is given
+        if (options.waveSet && options.highScoreTable === undefined) {
+            this.highScoreTable = null;
+        }
+
+        this.choiceCount = options.choiceCount || 3;
+        this.scoreMultiplierPerWave = options.scoreMultiplierPerWave || 0.1;
+        this.waveBonusScrap = options.waveBonusScrap || 10;
+        this.wavesPerCrystal = options.wavesPerCrystal || 5;
+        this.eliteChancePerWave = options.eliteChancePerWave || 0.04;
+        this.maxEliteChance = options.maxEliteChance || 0.3;
+        this.bossWaveInterval = options.bossWaveInterval || 5; // every Nth wave is a boss
+        this.wavesCleared = 0;
+
+        // Scripted opening waves (see WaveScripts), generated ones after that
+        this.waveSet = options.waveSet || WaveScripts.gauntlet;
+        this.waves = new WaveDirector();
+    }
+
+    onStart(game) {
+        this.wavesCleared = 0;
+    }
+
+    spawnWave(game) {
+        this.waves.start(this.getWaveScript(game.wave), game, { eliteChance: this.getEliteChance(game.wave) });
+    }
+
+    getWaveScript(wave) {
+        return this.waveSet.waves[wave - 1] || WaveGenerator.generate(wave, {
+            bossWaveInterval: this.bossWaveInterval,
+            eliteChance: this.getEliteChance(wave)
+        });
+    }
+
+    update(deltaTime, game) {
+        this.waves.update(deltaTime, game);
+    }
+
+    // Cleared once every group of the wave has spawned and been destroyed
+    isWaveComplete(game) {
+        return this.waves.isDone() && super.isWaveComplete(game);
+    }
+
+    getEliteChance(wave) {
+        return Math.min(Math.max(0, wave - 3) * this.eliteChancePerWave, this.maxEliteChance);
+    }
+
+    scoreFor(entity, game, damage) {
+        const multiplier = 1 + (game.wave - 1) * this.scoreMultiplierPerWave;
+        return Math.round((entity.scoreValue || 0) * multiplier);
+    }
+
+    onWaveComplete(game) {
+        this.wavesCleared++;
+
+        // Offer a choice of boons before the next wave
+        const choices = GauntletMode.rollChoices(this.choiceCount);
+        game.beginIntermission(choices, (choice) => {
+            this.applyChoice(game, choice);
+        });
+    }
+
+    applyChoice(game, choice) {
+        const boon = GauntletMode.BOONS[choice];
+        if (boon) {
+            boon.apply(game, game.player);
+        }
+    }
+
+    calculateRewards(game, outcome) {
+        return {
+            scrap: game.runStats.scrap + this.wavesCleared * this.waveBonusScrap,
+            crystals: game.runStats.crystals + Math.floor(this.wavesCleared / this.wavesPerCrystal)
+        };
+    }
+
+    static rollChoices(count) {
+        const pool = Object.keys(GauntletMode.BOONS);
+        const choices = [];
+
+        while (choices.length < count && pool.length > 0) {
+            const index = Utils.randomInt(0, pool.length - 1, 'loot');
+            choices.push(pool.splice(index, 1)[0]);
+        }
+
+        return choices;
+    }
+}
+
+// Between-wave boons offered in Gauntlet Mode
+GauntletMode.BOONS = {
+    hull_repair: {
+        name: 'Hull Repair',
+        description: 'Restore hull to full integrity',
+        apply: (game, player) => player.heal(player.health.max)
+    },
+    shield_boost: {
+        name: 'Shield Boost',
+        description: '+25 maximum shield',
+        apply: (game, player) => {
+            player.shield.max += 25;
+            player.shield.current = player.shield.max;
+        }
+    },
+    overclock: {
+        name: 'Overclock',
+        description: 'Weapon fires 15% faster',
+        apply: (game, player) => {
+            player.fireRateMultiplier *= 0.85;
+        }
+    },
+    afterburners: {
+        name: 'Afterburners',
+        description: '+15% thrust',
+        apply: (game, player) => {
+            player.thrustPower *= 1.15;
+        }
+    },
+    spare_hull: {
+        name: 'Spare Hull',
+        description: '+1 life',
+        apply: (game, player) => {
+            game.lives++;
+        }
+    }
+};
+
+// Benchmark - keeps the playfield filled with entities to measure collision cost
+class BenchmarkMode extends GameMode {
+    constructor(options = {}) {
+        super({
+            id: 'benchmark',
+            name: 'Benchmark',
+            autoFire: true,
+            autoRotate: true,
+            ...options
+        });
+
+        this.entityCount = options.entityCount || 500;
+    }
+
+    onStart(game) {
+        game.player.damageImmune = true;
+    }
+
+    spawnWave(game) {
+        this.refill(game);
+    }
+
+    update(deltaTime, game) {
+        this.refill(game);
+    }
+
+    // Top up to the target count with a mix of entity types
+    refill(game) {
+        while (game.entities.length < this.entityCount) {
+            const x = Utils.random(0, game.width, 'spawning');
+            const y = Utils.random(0, game.height, 'spawning');
+            const roll = Utils.random(0, 1, 'spawning');
+
+            if (roll < 0.4) {
+                game.addEntity(new Asteroid(x, y, Utils.randomChoice(['large', 'medium', 'small'], 'spawning')));
+            } else if (roll < 0.5) {
+                game.addEntity(EnemyFactory.create(EnemyFactory.getRandomType(), x, y));
+            } else if (roll < 0.8) {
+                game.addEntity(PickupFactory.create('scrap', x, y, { lifetime: 60000 }));
+            } else {
+                game.addEntity(new Projectile(x, y, { rotation: Utils.random(0, Math.PI * 2, 'spawning'), speed: 300 }));
+            }
+        }
+    }
+
+    isWaveComplete(game) {
+        return false;
+    }
+
+    checkOutcome(game) {
+        return null;
+    }
+
+    renderOverlay(ctx, game) {
+        Utils.performance.fps.update();
+
+        const n = game.entities.length;
+        const lines = [
+            `FPS: ${Utils.performance.fps.current}`,
+            `Entities: ${n}`,
+            `Narrow-phase tests: ${game.physics.lastCandidateCount} (brute force: ${n * (n - 1) / 2})`
+        ];
+
+        ctx.save();
+        ctx.fillStyle = '#00ff88';
+        ctx.font = '14px Courier New';
+        lines.forEach((line, i) => ctx.fillText(line, 10, 20 + i * 18));
+        ctx.restore();
+    }
+}
+
+// Game mode factory
+const GameModeFactory = {
+    create(type, options = {}) {
+        switch (type) {
+            case 'classic':
+                return new ClassicMode(options);
+            case 'gauntlet':
+                return new GauntletMode(options);
+            case 'benchmark':
+                return new BenchmarkMode(options);
+            default:
+                return new GauntletMode(options);
+        }
+    }
+};
+
+// Export classes
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { GameMode, ClassicMode, GauntletMode, BenchmarkMode, GameModeFactory };
+}
@@ -8,11 +8,11 @@ class Particle {
         this.startY = y;
         
         // Velocity
-        this.vx = options.vx || Utils.random(-50, 50);
-        this.vy = options.vy || Utils.random(-50, 50);
+        this.vx = options.vx || Utils.random(-50, 50, 'visuals');
+        this.vy = options.vy || Utils.random(-50, 50, 'visuals');
         
         // Visual properties
-        this.size = options.size || Utils.random(1, 3);
+        this.size = options.size || Utils.random(1, 3, 'visuals');
         this.startSize = this.size;
         this.color = options.color || '#00ffff';
         this.alpha = options.alpha || 1;
@@ -281,15 +281,15 @@ class ParticleEmitter {
         let emitY = this.y;
         
         if (this.emissionRadius > 0) {
-            const angle = Utils.random(0, Math.PI * 2);
-            const radius = Utils.random(0, this.emissionRadius);
+            const angle = Utils.random(0, Math.PI * 2, 'visuals');
+            const radius = Utils.random(0, this.emissionRadius, 'visuals');
             emitX += Math.cos(angle) * radius;
             emitY += Math.sin(angle) * radius;
         }
         
         // Calculate emission velocity
-        const angle = this.emissionAngle + Utils.random(-this.emissionSpread / 2, this.emissionSpread / 2);
-        const speed = this.particleOptions.speed || Utils.random(50, 100);
+        const angle = this.emissionAngle + Utils.random(-this.emissionSpread / 2, this.emissionSpread / 2, 'visuals');
+        const speed = this.particleOptions.speed || Utils.random(50, 100, 'visuals');
         
         const particleOptions = {
             ...this.particleOptions,
@@ -326,14 +326,14 @@ class ParticleEffects {
         
         for (let i = 0; i < particleCount; i++) {
             const angle = (Math.PI * 2 * i) / particleCount;
-            const velocity = Utils.random(speed * 0.5, speed);
+            const velocity = Utils.random(speed * 0.5, speed, 'visuals');
             
             const particle = new Particle(x, y, {
                 vx: Math.cos(angle) * velocity,
                 vy: Math.sin(angle) * velocity,
-                size: Utils.random(size * 0.5, size),
-                color: Utils.randomChoice(colors),
-                life: Utils.random(500, 1000),
+                size: Utils.random(size * 0.5, size, 'visuals'),
+                color: Utils.randomChoice(colors, 'visuals'),
+                life: Utils.random(500, 1000, 'visuals'),
                 glow: true,
                 friction: 0.95,
                 scaleSpeed: -0.5
@@ -364,21 +364,43 @@ class ParticleEffects {
         return emitter;
     }
     
+    // Spawn effects for gameplay events
+    static subscribe(events, system) {
+        events.on('projectileImpact', ({ damage, point }) => {
+            ParticleEffects.sparks(system, point.x, point.y, { colors: DamageSystem.colors[damage.type] });
+        });
+        events.on('playerHit', ({ player }) => {
+            ParticleEffects.shieldHit(system, player.x, player.y);
+        });
+        events.on('entityDestroyed', ({ entity }) => {
+            ParticleEffects.explosion(system, entity.x, entity.y);
+        });
+        events.on('playerDestroyed', ({ player }) => {
+            ParticleEffects.explosion(system, player.x, player.y, { count: 50 });
+        });
+        events.on('warpedIn', ({ entity }) => {
+            ParticleEffects.sparks(system, entity.x, entity.y, { count: 20, colors: [entity.color, '#ffffff'] });
+        });
+        events.on('bossPhaseChanged', ({ boss }) => {
+            ParticleEffects.explosion(system, boss.x, boss.y, { count: 60, speed: 200, colors: [boss.color, '#ffffff'] });
+        });
+    }
+    
     // Sparks effect
     static sparks(system, x, y, options = {}) {
         const particleCount = options.count || 10;
         const colors = options.colors || ['#ffff00', '#ff8800', '#ffffff'];
         
         for (let i = 0; i < particleCount; i++) {
-            const angle = Utils.random(0, Math.PI * 2);
-            const velocity = Utils.random(20, 80);
+            const angle = Utils.random(0, Math.PI * 2, 'visuals');
+            const velocity = Utils.random(20, 80, 'visuals');
             
             const particle = new Particle(x, y, {
                 vx: Math.cos(angle) * velocity,
                 vy: Math.sin(angle) * velocity,
-                size: Utils.random(1, 2),
-                color: Utils.randomChoice(colors),
-                life: Utils.random(200, 500),
+                size: Utils.random(1, 2, 'visuals'),
+                color: Utils.randomChoice(colors, 'visuals'),
+                life: Utils.random(200, 500, 'visuals'),
                 glow: true,
                 gravity: 50,
                 friction: 0.99,
@@ -395,17 +417,17 @@ class ParticleEffects {
         const colors = options.colors || ['#666666', '#888888', '#aaaaaa'];
         
         for (let i = 0; i < particleCount; i++) {
-            const angle = Utils.random(0, Math.PI * 2);
-            const velocity = Utils.random(30, 120);
+            const angle = Utils.random(0, Math.PI * 2, 'visuals');
+            const velocity = Utils.random(30, 120, 'visuals');
             
             const particle = new Particle(x, y, {
                 vx: Math.cos(angle) * velocity,
                 vy: Math.sin(angle) * velocity,
-                size: Utils.random(2, 5),
-                color: Utils.randomChoice(colors),
-                life: Utils.random(1000, 2000),
+                size: Utils.random(2, 5, 'visuals'),
+                color: Utils.randomChoice(colors, 'visuals'),
+                life: Utils.random(1000, 2000, 'visuals'),
                 friction: 0.98,
-                rotationSpeed: Utils.random(-5, 5),
+                rotationSpeed: Utils.random(-5, 5, 'visuals'),
                 gravity: 20
             });
             
@@ -418,15 +440,15 @@ class ParticleEffects {
         const particleCount = options.count || 8;
         
         for (let i = 0; i < particleCount; i++) {
-            const angle = Utils.random(0, Math.PI * 2);
-            const velocity = Utils.random(40, 80);
+            const angle = Utils.random(0, Math.PI * 2, 'visuals');
+            const velocity = Utils.random(40, 80, 'visuals');
             
             const particle = new Particle(x, y, {
                 vx: Math.cos(angle) * velocity,
                 vy: Math.sin(angle) * velocity,
-                size: Utils.random(2, 4),
+                size: Utils.random(2, 4, 'visuals'),
                 color: '#00ffff',
-                life: Utils.random(300, 600),
+                life: Utils.random(300, 600, 'visuals'),
                 glow: true,
                 friction: 0.95,
                 scaleSpeed: -0.8
@@ -441,17 +463,17 @@ class ParticleEffects {
         const particleCount = options.count || 25;
         
         for (let i = 0; i < particleCount; i++) {
-            const angle = Utils.random(0, Math.PI * 2);
-            const distance = Utils.random(10, 50);
+            const angle = Utils.random(0, Math.PI * 2, 'visuals');
+            const distance = Utils.random(10, 50, 'visuals');
             const startX = x + Math.cos(angle) * distance;
             const startY = y + Math.sin(angle) * distance;
             
             const particle = new Particle(startX, startY, {
                 vx: -Math.cos(angle) * 200,
                 vy: -Math.sin(angle) * 200,
-                size: Utils.random(1, 3),
+                size: Utils.random(1, 3, 'visuals'),
                 color: '#ff00ff',
-                life: Utils.random(200, 400),
+                life: Utils.random(200, 400, 'visuals'),
                 glow: true,
                 trail: true,
                 maxTrailLength: 5
@@ -1,11 +1,18 @@
 // Void Drifter - Physics Engine
 
 class PhysicsEngine {
-    constructor(width, height) {
+    constructor(width, height, options = {}) {
         this.width = width;
         this.height = height;
         this.gravity = { x: 0, y: 0 }; // No gravity in space
         this.damping = 0.99; // Slight damping for realistic feel
+        
+        // Broad-phase collision grid
+        this.grid = new SpatialGrid(width, height, options.cellSize || 100);
+        this.lastCandidateCount = 0; // pairs tested by the narrow phase last frame
+        
+        // Per-step movement beyond this is a teleport, not swept
+        this.maxSweepDistance = options.maxSweepDistance || 100;
     }
 
     // Update physics for an entity
@@ -69,35 +76,251 @@ class PhysicsEngine {
         this.applyForce(entity, thrustVector.x, thrustVector.y);
     }
 
-    // Check collision between two circular entities
+    // Layer filtering - both entities must accept each other
+    canCollide(entity1, entity2) {
+        return (entity1.physics.mask & entity2.physics.layer) !== 0 &&
+            (entity2.physics.mask & entity1.physics.layer) !== 0;
+    }
+    
+    // Find all colliding pairs using the broad-phase grid
+    // callback receives both entities and the contact { time, x, y, normal, depth }
+    findCollisionPairs(entities, callback) {
+        this.buildGrid(entities);
+        
+        let candidates = 0;
+        this.grid.forEachPair((entity1, entity2) => {
+            if (!entity1.alive || !entity2.alive || !this.canCollide(entity1, entity2)) return;
+            
+            candidates++;
+            const contact = entity1.physics.continuous || entity2.physics.continuous
+                ? this.sweepCollision(entity1, entity2)
+                : this.getContact(entity1, entity2);
+            
+            if (contact) {
+                callback(entity1, entity2, contact);
+            }
+        });
+        this.lastCandidateCount = candidates;
+    }
+    
+    // Fill the broad-phase grid with the colliding entities
+    buildGrid(entities) {
+        this.grid.clear();
+        for (const entity of entities) {
+            if (entity.alive && entity.physics && entity.physics.collisionRadius) {
+                this.grid.insert(entity, entity.physics.continuous ? this.getMotion(entity) : null);
+            }
+        }
+    }
+    
+    // Entities on any of the layers that may be within radius of a point, as of the last buildGrid
+    // Callers still check the distance, the grid only narrows the search
+    queryRadius(x, y, radius, layers) {
+        return this.grid.query(x, y, radius, layers);
+    }
+    
+    // Distance moved since the last saved state
+    getMotion(entity) {
+        const motion = entity.physics.screenWrap
+            ? {
+                x: Utils.wrapDelta(entity.prevX, entity.x, this.width),
+                y: Utils.wrapDelta(entity.prevY, entity.y, this.height)
+            }
+            : { x: entity.x - entity.prevX, y: entity.y - entity.prevY };
+        
+        if (Utils.vector.magnitude(motion) > this.maxSweepDistance) {
+            return { x: 0, y: 0 };
+        }
+        return motion;
+    }
+    
+    // Contact for two currently overlapping entities, or null
+    // Bounding circles are tested first, then polygon outlines where present
+    // normal points from entity1 to entity2 and depth is how far they overlap along it
+    getContact(entity1, entity2) {
+        if (!entity1.physics || !entity2.physics) return null;
+        if (!entity1.physics.collisionRadius || !entity2.physics.collisionRadius) return null;
+        
+        const offset = this.getOffset(entity1, entity2);
+        const bounds = entity1.physics.boundingRadius + entity2.physics.boundingRadius;
+        if (offset.x * offset.x + offset.y * offset.y > bounds * bounds) return null;
+        
+        const shape1 = entity1.physics.shape;
+        const shape2 = entity2.physics.shape;
+        
+        if (!shape1 && !shape2) {
+            const share = entity1.physics.collisionRadius / bounds;
+            return {
+                time: 1,
+                x: entity1.x + offset.x * share,
+                y: entity1.y + offset.y * share,
+                ...this.getSeparation(entity1, entity2)
+            };
+        }
+        
+        // entity2 is placed at its nearest image so polygons line up across edges
+        const x2 = entity1.x + offset.x;
+        const y2 = entity1.y + offset.y;
+        const polygon1 = shape1 && PolygonCollision.transform(shape1, entity1.x, entity1.y, entity1.rotation);
+        const polygon2 = shape2 && PolygonCollision.transform(shape2, x2, y2, entity2.rotation);
+        
+        let point;
+        if (polygon1 && polygon2) {
+            point = PolygonCollision.polygonPolygon(polygon1, polygon2);
+        } else if (polygon1) {
+            point = PolygonCollision.circlePolygon(x2, y2, entity2.physics.collisionRadius, polygon1);
+        } else {
+            point = PolygonCollision.circlePolygon(entity1.x, entity1.y, entity1.physics.collisionRadius, polygon2);
+        }
+        
+        return point ? { time: 1, x: point.x, y: point.y, ...this.getSeparation(entity1, entity2, polygon1, polygon2) } : null;
+    }
+    
+    // Shortest push apart for two entities as they are now, { normal, depth }
+    // normal points from entity1 to entity2, polygons may be passed in if already placed
+    getSeparation(entity1, entity2, polygon1 = null, polygon2 = null) {
+        const offset = this.getOffset(entity1, entity2);
+        const distance = Utils.vector.magnitude(offset);
+        const radius1 = entity1.physics.collisionRadius;
+        const radius2 = entity2.physics.collisionRadius;
+        
+        if (!entity1.physics.shape && !entity2.physics.shape) {
+            return {
+                normal: distance > 0 ? { x: offset.x / distance, y: offset.y / distance } : { x: 1, y: 0 },
+                depth: radius1 + radius2 - distance
+            };
+        }
+        
+        const x2 = entity1.x + offset.x;
+        const y2 = entity1.y + offset.y;
+        const shape1 = entity1.physics.shape
+            ? polygon1 || PolygonCollision.transform(entity1.physics.shape, entity1.x, entity1.y, entity1.rotation)
+            : { x: entity1.x, y: entity1.y, radius: radius1 };
+        const shape2 = entity2.physics.shape
+            ? polygon2 || PolygonCollision.transform(entity2.physics.shape, x2, y2, entity2.rotation)
+            : { x: x2, y: y2, radius: radius2 };
+        
+        return PolygonCollision.separation(shape1, shape2, offset);
+    }
+    
+    // Swept circle test over the last step
+    // Returns the contact at the time of impact (0 = start of step, 1 = now), or null
+    sweepCollision(entity1, entity2) {
+        if (!entity1.physics || !entity2.physics) return null;
+        if (!entity1.physics.collisionRadius || !entity2.physics.collisionRadius) return null;
+        
+        if (entity1.physics.shape || entity2.physics.shape) {
+            return this.sweepPolygon(entity1, entity2);
+        }
+        
+        const motion1 = this.getMotion(entity1);
+        const motion2 = this.getMotion(entity2);
+        const radii = entity1.physics.collisionRadius + entity2.physics.collisionRadius;
+        
+        // Relative motion of entity2 as seen from entity1, and their offset at the start of the step
+        const velocity = { x: motion2.x - motion1.x, y: motion2.y - motion1.y };
+        const end = this.getOffset(entity1, entity2);
+        const start = { x: end.x - velocity.x, y: end.y - velocity.y };
+        
+        // Solve |start + velocity * t| = radii for the first t in [0, 1]
+        const a = Utils.vector.dot(velocity, velocity);
+        const b = 2 * Utils.vector.dot(start, velocity);
+        const c = Utils.vector.dot(start, start) - radii * radii;
+        
+        let time;
+        if (c <= 0) {
+            time = 0; // Already overlapping at the start of the step
+        } else {
+            if (a === 0) return null;
+            
+            const discriminant = b * b - 4 * a * c;
+            if (discriminant < 0) return null;
+            
+            time = (-b - Math.sqrt(discriminant)) / (2 * a);
+            if (time < 0 || time > 1) return null;
+        }
+        
+        const share = entity1.physics.collisionRadius / radii;
+        const remaining = 1 - time;
+        
+        return {
+            time,
+            x: entity1.x - motion1.x * remaining + (start.x + velocity.x * time) * share,
+            y: entity1.y - motion1.y * remaining + (start.y + velocity.y * time) * share,
+            ...this.getSeparation(entity1, entity2)
+        };
+    }
+    
+    // Swept circle against a polygon, held at its current pose
+    // A continuous entity with its own outline falls back to the discrete test
+    sweepPolygon(entity1, entity2) {
+        const [circle, polygon] = entity1.physics.shape ? [entity2, entity1] : [entity1, entity2];
+        if (circle.physics.shape) return this.getContact(entity1, entity2);
+        
+        // Path of the circle relative to the polygon over the last step
+        const circleMotion = this.getMotion(circle);
+        const polygonMotion = this.getMotion(polygon);
+        const offset = this.getOffset(polygon, circle);
+        const end = { x: polygon.x + offset.x, y: polygon.y + offset.y };
+        const start = {
+            x: end.x - (circleMotion.x - polygonMotion.x),
+            y: end.y - (circleMotion.y - polygonMotion.y)
+        };
+        
+        // Cheap reject against the bounding circle
+        const nearest = PolygonCollision.closestPointOnSegment(polygon.x, polygon.y, start, end);
+        const bounds = polygon.physics.boundingRadius + circle.physics.collisionRadius;
+        if (Utils.distance(polygon.x, polygon.y, nearest.x, nearest.y) > bounds) return null;
+        
+        const outline = PolygonCollision.transform(polygon.physics.shape, polygon.x, polygon.y, polygon.rotation);
+        const contact = PolygonCollision.sweepCircle(start, end, circle.physics.collisionRadius, outline);
+        return contact ? { ...contact, ...this.getSeparation(entity1, entity2) } : null;
+    }
+    
+    // Shortest vector from entity1 to entity2, measured across screen edges if either wraps
+    getOffset(entity1, entity2) {
+        const wraps = (entity1.physics && entity1.physics.screenWrap) ||
+            (entity2.physics && entity2.physics.screenWrap);
+        
+        if (!wraps) {
+            return { x: entity2.x - entity1.x, y: entity2.y - entity1.y };
+        }
+        
+        return {
+            x: Utils.wrapDelta(entity1.x, entity2.x, this.width),
+            y: Utils.wrapDelta(entity1.y, entity2.y, this.height)
+        };
+    }
+    
+    getDistance(entity1, entity2) {
+        return Utils.vector.magnitude(this.getOffset(entity1, entity2));
+    }
+    
+    getAngle(entity1, entity2) {
+        const offset = this.getOffset(entity1, entity2);
+        return Math.atan2(offset.y, offset.x);
+    }
+    
+    // Position of the copy of target closest to entity, for steering across edges
+    getNearestImage(entity, target) {
+        const offset = this.getOffset(entity, target);
+        return { x: entity.x + offset.x, y: entity.y + offset.y };
+    }
+    
+    // Check collision between two entities
     checkCollision(entity1, entity2) {
-        if (!entity1.physics || !entity2.physics) return false;
-        if (!entity1.physics.collisionRadius || !entity2.physics.collisionRadius) return false;
-
-        return Utils.circleCollision(
-            entity1.x, entity1.y, entity1.physics.collisionRadius,
-            entity2.x, entity2.y, entity2.physics.collisionRadius
-        );
+        return this.getContact(entity1, entity2) !== null;
     }
 
     // Handle elastic collision between two entities
-    handleCollision(entity1, entity2) {
-        if (!this.checkCollision(entity1, entity2)) return;
-
-        const dx = entity2.x - entity1.x;
-        const dy = entity2.y - entity1.y;
-        const distance = Math.sqrt(dx * dx + dy * dy);
-
-        if (distance === 0) return; // Avoid division by zero
-
-        // Normalize collision vector
-        const nx = dx / distance;
-        const ny = dy / distance;
+    // contact: as found by findCollisionPairs for this argument order, see reverseContact
+    handleCollision(entity1, entity2, contact) {
+        const nx = contact.normal.x;
+        const ny = contact.normal.y;
 
         // Separate entities to prevent overlap
-        const overlap = (entity1.physics.collisionRadius + entity2.physics.collisionRadius) - distance;
-        if (overlap > 0) {
-            const separation = overlap / 2;
+        if (contact.depth > 0) {
+            const separation = contact.depth / 2;
             entity1.x -= nx * separation;
             entity1.y -= ny * separation;
             entity2.x += nx * separation;
@@ -132,6 +355,12 @@ class PhysicsEngine {
         entity2.physics.velocity.y += impulseY * entity1.physics.mass;
     }
 
+    // The same contact seen from the other entity
+    static reverseContact(contact) {
+        if (!contact || !contact.normal) return contact;
+        return { ...contact, normal: { x: -contact.normal.x, y: -contact.normal.y } };
+    }
+
     // Create physics component for an entity
     static createPhysicsComponent(options = {}) {
         return {
@@ -144,11 +373,368 @@ class PhysicsEngine {
             collisionRadius: options.collisionRadius || 0,
             restitution: options.restitution || 0.8,
             screenWrap: options.screenWrap !== false, // Default to true
-            isStatic: options.isStatic || false
+            isStatic: options.isStatic || false,
+            layer: options.layer || 0,
+            mask: options.mask || 0,
+            continuous: options.continuous || false, // swept collision for fast movers
+            shape: null, // polygon outline in local space, see setShape
+            boundingRadius: options.collisionRadius || 0,
+            queryMark: 0 // last grid query that returned the entity
         };
     }
+    
+    // Give a physics component a polygon outline ({ x, y } points around the entity origin)
+    // The bounding radius grows to enclose it so the circle stays a valid broad phase
+    static setShape(physics, points) {
+        physics.shape = points;
+        physics.boundingRadius = points.reduce(
+            (radius, point) => Math.max(radius, Math.sqrt(point.x * point.x + point.y * point.y)),
+            physics.collisionRadius
+        );
+    }
+    
+    // Default collision layer and mask for an entity type
+    static getCollisionFilter(type) {
+        const layers = PhysicsEngine.LAYERS;
+        const masks = {
+            player: layers.asteroid | layers.enemy | layers.projectile | layers.pickup,
+            asteroid: layers.player | layers.asteroid | layers.enemy | layers.projectile,
+            enemy: layers.player | layers.asteroid | layers.enemy | layers.projectile,
+            projectile: layers.player | layers.asteroid | layers.enemy,
+            pickup: layers.player
+        };
+        
+        return { layer: layers[type] || 0, mask: masks[type] || 0 };
+    }
+}
+
+// Collision layers (bit flags)
+PhysicsEngine.LAYERS = {
+    player: 1,
+    asteroid: 2,
+    enemy: 4,
+    projectile: 8,
+    pickup: 16
+};
+
+// Uniform grid broad phase, cells wrap around the screen edges
+class SpatialGrid {
+    constructor(width, height, cellSize = 100) {
+        this.cellSize = cellSize;
+        this.cols = Math.ceil(width / cellSize);
+        this.rows = Math.ceil(height / cellSize);
+        this.cells = [];
+        for (let i = 0; i < this.cols * this.rows; i++) {
+            this.cells.push([]);
+        }
+        this.visited = new Set();
+        this.queries = 0; // queries run so far, see query
+    }
+    
+    clear() {
+        for (const cell of this.cells) {
+            cell.length = 0;
+        }
+    }
+    
+    // motion: optional movement over the last step, the swept path is covered too
+    insert(entity, motion = null) {
+        const radius = entity.physics.boundingRadius;
+        const startX = motion ? entity.x - motion.x : entity.x;
+        const startY = motion ? entity.y - motion.y : entity.y;
+        const minCol = Math.floor((Math.min(entity.x, startX) - radius) / this.cellSize);
+        const maxCol = Math.floor((Math.max(entity.x, startX) + radius) / this.cellSize);
+        const minRow = Math.floor((Math.min(entity.y, startY) - radius) / this.cellSize);
+        const maxRow = Math.floor((Math.max(entity.y, startY) + radius) / this.cellSize);
+        const wrap = entity.physics.screenWrap;
+        
+        // Cells past an edge wrap to the other side for wrapping entities
+        const inserted = [];
+        for (let row = minRow; row <= maxRow; row++) {
+            const r = this.resolve(row, this.rows, wrap);
+            if (r === -1) continue;
+            
+            for (let col = minCol; col <= maxCol; col++) {
+                const c = this.resolve(col, this.cols, wrap);
+                if (c === -1) continue;
+                
+                const index = r * this.cols + c;
+                if (!inserted.includes(index)) {
+                    inserted.push(index);
+                    this.cells[index].push(entity);
+                }
+            }
+        }
+    }
+    
+    // Map a cell coordinate into the grid, -1 when off-grid and not wrapping
+    resolve(index, count, wrap) {
+        if (wrap) return ((index % count) + count) % count;
+        return index >= 0 && index < count ? index : -1;
+    }
+    
+    // Entities on any of the layers in the cells a circle overlaps, each once, cells wrap around the edges
+    query(x, y, radius, layers) {
+        // Entities spanning several cells are marked with the query's number so they are returned once
+        const mark = ++this.queries;
+        const found = [];
+        const minCol = Math.floor((x - radius) / this.cellSize);
+        const minRow = Math.floor((y - radius) / this.cellSize);
+        
+        // A circle wider than the grid covers every cell once
+        const maxCol = Math.min(Math.floor((x + radius) / this.cellSize), minCol + this.cols - 1);
+        const maxRow = Math.min(Math.floor((y + radius) / this.cellSize), minRow + this.rows - 1);
+        
+        for (let row = minRow; row <= maxRow; row++) {
+            const r = this.resolve(row, this.rows, true);
+            for (let col = minCol; col <= maxCol; col++) {
+                for (const entity of this.cells[r * this.cols + this.resolve(col, this.cols, true)]) {
+                    if ((entity.physics.layer & layers) && entity.physics.queryMark !== mark) {
+                        entity.physics.queryMark = mark;
+                        found.push(entity);
+                    }
+                }
+            }
+        }
+        
+        return found;
+    }
+    
+    // Call back once for every pair of entities sharing a cell
+    forEachPair(callback) {
+        this.visited.clear();
+        
+        for (const cell of this.cells) {
+            for (let i = 0; i < cell.length; i++) {
+                for (let j = i + 1; j < cell.length; j++) {
+                    const a = cell[i];
+                    const b = cell[j];
+                    const key = a.id < b.id ? a.id * SpatialGrid.ID_RANGE + b.id : b.id * SpatialGrid.ID_RANGE + a.id;
+                    
+                    if (!this.visited.has(key)) {
+                        this.visited.add(key);
+                        callback(a, b);
+                    }
+                }
+            }
+        }
+    }
 }
 
+// Entity ids below this are paired into a unique numeric key
+SpatialGrid.ID_RANGE = 67108864; // 2^26
+
+// Polygon narrow phase, handles concave outlines
+const PolygonCollision = {
+    // Local outline to world space
+    transform(points, x, y, rotation) {
+        const cos = Math.cos(rotation);
+        const sin = Math.sin(rotation);
+        
+        return points.map(point => ({
+            x: x + point.x * cos - point.y * sin,
+            y: y + point.x * sin + point.y * cos
+        }));
+    },
+    
+    // Even-odd rule
+    containsPoint(polygon, x, y) {
+        let inside = false;
+        
+        for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+            const a = polygon[i];
+            const b = polygon[j];
+            if ((a.y > y) !== (b.y > y) && x < (b.x - a.x) * (y - a.y) / (b.y - a.y) + a.x) {
+                inside = !inside;
+            }
+        }
+        
+        return inside;
+    },
+    
+    closestPointOnSegment(x, y, a, b) {
+        const dx = b.x - a.x;
+        const dy = b.y - a.y;
+        const lengthSquared = dx * dx + dy * dy;
+        const t = lengthSquared === 0 ? 0 : Utils.clamp(((x - a.x) * dx + (y - a.y) * dy) / lengthSquared, 0, 1);
+        
+        return { x: a.x + dx * t, y: a.y + dy * t };
+    },
+    
+    // Fraction along p1-p2 where it crosses q1-q2, or null
+    segmentIntersection(p1, p2, q1, q2) {
+        const rx = p2.x - p1.x;
+        const ry = p2.y - p1.y;
+        const sx = q2.x - q1.x;
+        const sy = q2.y - q1.y;
+        
+        const denominator = rx * sy - ry * sx;
+        if (denominator === 0) return null; // Parallel
+        
+        const qx = q1.x - p1.x;
+        const qy = q1.y - p1.y;
+        const t = (qx * sy - qy * sx) / denominator;
+        const u = (qx * ry - qy * rx) / denominator;
+        
+        return t >= 0 && t <= 1 && u >= 0 && u <= 1 ? t : null;
+    },
+    
+    // Contact point of a circle and a polygon, or null
+    circlePolygon(x, y, radius, polygon) {
+        if (this.containsPoint(polygon, x, y)) return { x, y };
+        
+        let closest = null;
+        let closestDistance = radius * radius;
+        
+        for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+            const point = this.closestPointOnSegment(x, y, polygon[j], polygon[i]);
+            const dx = point.x - x;
+            const dy = point.y - y;
+            
+            if (dx * dx + dy * dy <= closestDistance) {
+                closest = point;
+                closestDistance = dx * dx + dy * dy;
+            }
+        }
+        
+        return closest;
+    },
+    
+    // Contact point of two polygons, or null
+    polygonPolygon(polygon1, polygon2) {
+        for (let i = 0, j = polygon1.length - 1; i < polygon1.length; j = i++) {
+            for (let k = 0, l = polygon2.length - 1; k < polygon2.length; l = k++) {
+                const t = this.segmentIntersection(polygon1[j], polygon1[i], polygon2[l], polygon2[k]);
+                if (t !== null) {
+                    return {
+                        x: Utils.lerp(polygon1[j].x, polygon1[i].x, t),
+                        y: Utils.lerp(polygon1[j].y, polygon1[i].y, t)
+                    };
+                }
+            }
+        }
+        
+        // No crossing edges, one may lie entirely inside the other
+        if (this.containsPoint(polygon2, polygon1[0].x, polygon1[0].y)) return { ...polygon1[0] };
+        if (this.containsPoint(polygon1, polygon2[0].x, polygon2[0].y)) return { ...polygon2[0] };
+        
+        return null;
+    },
+    
+    // Circle moving from start to end against a polygon
+    // Returns { time, x, y } where the circle first touches an edge or corner, or null
+    sweepCircle(start, end, radius, polygon) {
+        const startContact = this.circlePolygon(start.x, start.y, radius, polygon);
+        if (startContact) {
+            return { time: 0, x: startContact.x, y: startContact.y };
+        }
+        
+        const motion = { x: end.x - start.x, y: end.y - start.y };
+        let first = null;
+        const consider = (time, x, y) => {
+            if (time >= 0 && time <= 1 && (first === null || time < first.time)) {
+                first = { time, x, y };
+            }
+        };
+        
+        for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+            const a = polygon[j];
+            const b = polygon[i];
+            
+            // Edges: when the circle comes within radius of the edge's line, from either side
+            const edge = { x: b.x - a.x, y: b.y - a.y };
+            const length = Utils.vector.magnitude(edge);
+            if (length > 0) {
+                const normal = { x: -edge.y / length, y: edge.x / length };
+                const distance = (start.x - a.x) * normal.x + (start.y - a.y) * normal.y;
+                const closing = Utils.vector.dot(motion, normal);
+                const side = distance > 0 ? 1 : -1;
+                
+                if (Math.abs(distance) > radius && closing * side < 0) {
+                    const time = (distance - side * radius) / -closing;
+                    const x = start.x + motion.x * time;
+                    const y = start.y + motion.y * time;
+                    const along = ((x - a.x) * edge.x + (y - a.y) * edge.y) / (length * length);
+                    if (along >= 0 && along <= 1) {
+                        consider(time, x - normal.x * side * radius, y - normal.y * side * radius);
+                    }
+                }
+            }
+            
+            // Corners: when the circle comes within radius of the vertex
+            const time = this.sweepPoint(start, motion, b, radius);
+            if (time !== null) consider(time, b.x, b.y);
+        }
+        
+        return first;
+    },
+    
+    // First time in [0, 1] a point moving from start by motion comes within radius of target, or null
+    sweepPoint(start, motion, target, radius) {
+        const relative = { x: start.x - target.x, y: start.y - target.y };
+        const a = Utils.vector.dot(motion, motion);
+        const b = 2 * Utils.vector.dot(relative, motion);
+        const c = Utils.vector.dot(relative, relative) - radius * radius;
+        if (c <= 0) return 0;
+        if (a === 0) return null;
+        
+        const discriminant = b * b - 4 * a * c;
+        if (discriminant < 0) return null;
+        
+        const time = (-b - Math.sqrt(discriminant)) / (2 * a);
+        return time >= 0 && time <= 1 ? time : null;
+    },
+    
+    // Shortest push to part two shapes, each a polygon or a circle { x, y, radius }
+    // Separating axis test: concave outlines are parted as their convex hulls, which is enough
+    // to part them. Returns { normal, depth } with normal facing along offset (shape1 to shape2)
+    separation(shape1, shape2, offset) {
+        const axes = [];
+        for (const shape of [shape1, shape2]) {
+            if (!Array.isArray(shape)) continue;
+            for (let i = 0, j = shape.length - 1; i < shape.length; j = i++) {
+                axes.push({ x: shape[j].y - shape[i].y, y: shape[i].x - shape[j].x });
+            }
+        }
+        
+        // A circle against a polygon can also be parted along the line to the nearest corner
+        const circle = Array.isArray(shape1) ? (Array.isArray(shape2) ? null : shape2) : shape1;
+        const polygon = circle === shape1 ? shape2 : shape1;
+        if (circle && Array.isArray(polygon)) {
+            const corner = polygon.reduce((nearest, point) =>
+                Utils.distance(circle.x, circle.y, point.x, point.y) < Utils.distance(circle.x, circle.y, nearest.x, nearest.y)
+                    ? point : nearest);
+            axes.push({ x: corner.x - circle.x, y: corner.y - circle.y });
+        }
+        
+        const project = (shape, axis) => {
+            if (!Array.isArray(shape)) {
+                const center = Utils.vector.dot(shape, axis);
+                return { min: center - shape.radius, max: center + shape.radius };
+            }
+            const dots = shape.map(point => Utils.vector.dot(point, axis));
+            return { min: Math.min(...dots), max: Math.max(...dots) };
+        };
+        
+        let best = null;
+        for (const candidate of axes) {
+            const length = Utils.vector.magnitude(candidate);
+            if (length === 0) continue;
+            
+            let axis = { x: candidate.x / length, y: candidate.y / length };
+            if (Utils.vector.dot(axis, offset) < 0) axis = { x: -axis.x, y: -axis.y };
+            
+            // shape2 is pushed along the axis, shape1 against it
+            const depth = project(shape1, axis).max - project(shape2, axis).min;
+            if (best === null || depth < best.depth) {
+                best = { normal: axis, depth };
+            }
+        }
+        
+        return best || { normal: { x: 1, y: 0 }, depth: 0 };
+    }
+};
+
 // Specialized physics behaviors
 class PhysicsBehaviors {
     // Orbital motion around a point
@@ -210,7 +796,7 @@ class PhysicsBehaviors {
         if (!entity.wanderAngle) entity.wanderAngle = 0;
 
         // Update wander angle
-        entity.wanderAngle += Utils.random(-wanderAngle, wanderAngle);
+        entity.wanderAngle += Utils.random(-wanderAngle, wanderAngle, 'combat');
 
         // Calculate circle center in front of entity
         const circleCenter = Utils.vector.fromAngle(entity.rotation, wanderDistance);
@@ -230,7 +816,8 @@ class PhysicsBehaviors {
     }
 
     // Separation behavior - avoid crowding
-    static separate(entity, neighbors, desiredSeparation = 50) {
+    // engine: measure across screen edges with its getOffset, for wrapping entities
+    static separate(entity, neighbors, desiredSeparation = 50, engine = null) {
         if (!entity.physics || neighbors.length === 0) return null;
 
         const steer = { x: 0, y: 0 };
@@ -239,17 +826,15 @@ class PhysicsBehaviors {
         for (const neighbor of neighbors) {
             if (neighbor === entity || !neighbor.physics) continue;
 
-            const distance = Utils.distance(entity.x, entity.y, neighbor.x, neighbor.y);
+            // Vector pointing away from neighbor
+            const offset = engine
+                ? engine.getOffset(neighbor, entity)
+                : { x: entity.x - neighbor.x, y: entity.y - neighbor.y };
+            const distance = Utils.vector.magnitude(offset);
             
             if (distance > 0 && distance < desiredSeparation) {
-                // Calculate vector pointing away from neighbor
-                const diff = {
-                    x: entity.x - neighbor.x,
-                    y: entity.y - neighbor.y
-                };
-
                 // Weight by distance (closer = stronger force)
-                const normalized = Utils.vector.normalize(diff);
+                const normalized = Utils.vector.normalize(offset);
                 normalized.x /= distance;
                 normalized.y /= distance;
 
@@ -281,5 +866,5 @@ class PhysicsBehaviors {
 
 // Export classes
 if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { PhysicsEngine, PhysicsBehaviors };
+    module.exports = { PhysicsEngine, PhysicsBehaviors, SpatialGrid, PolygonCollision };
 }
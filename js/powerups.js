@@ -14,13 +14,14 @@ class Pickup extends Entity {
         });
         
         this.pickupType = type;
+        this.sound = type === 'powerup' ? 'powerup' : 'pickup'; // played by AudioManager on pickupCollected
         this.lifetime = options.lifetime || 10000; // 10 seconds
         this.magnetRadius = 100;
         this.magnetForce = 200;
         
         // Give random initial velocity
-        const angle = Utils.random(0, Math.PI * 2);
-        const speed = Utils.random(50, 100);
+        const angle = Utils.random(0, Math.PI * 2, 'loot');
+        const speed = Utils.random(50, 100, 'loot');
         this.physics.velocity.x = Math.cos(angle) * speed;
         this.physics.velocity.y = Math.sin(angle) * speed;
     }
@@ -35,9 +36,10 @@ class Pickup extends Entity {
         
         // Magnet effect towards player
         if (game.player && game.player.alive) {
-            const distance = Utils.distance(this.x, this.y, game.player.x, game.player.y);
-            if (distance < this.magnetRadius) {
-                const angle = Utils.angleBetween(this.x, this.y, game.player.x, game.player.y);
+            const magnetRadius = game.player.magnetRadius || this.magnetRadius;
+            const distance = game.physics.getDistance(this, game.player);
+            if (distance < magnetRadius) {
+                const angle = game.physics.getAngle(this, game.player);
                 const force = Utils.vector.fromAngle(angle, this.magnetForce);
                 game.physics.applyForce(this, force.x, force.y);
             }
@@ -83,8 +85,6 @@ class Powerup extends Pickup {
         super.onCollect(player);
         
         game.activatePowerup(this.powerupType, this.duration);
-        
-        if (game.audio) game.audio.play('powerup');
     }
     
     draw(ctx) {
@@ -112,6 +112,7 @@ class Resource extends Pickup {
         });
         
         this.resourceType = resourceType;
+        this.value = options.value || 1;
         
         const resourceData = Resource.getData(resourceType);
         this.color = resourceData.color;
@@ -129,9 +130,7 @@ class Resource extends Pickup {
     onCollect(player, game) {
         super.onCollect(player);
         
-        game.addResource(this.resourceType, 1);
-        
-        if (game.audio) game.audio.play('pickup');
+        game.addResource(this.resourceType, this.value);
     }
     
     draw(ctx) {
@@ -159,8 +158,51 @@ class Resource extends Pickup {
     }
 }
 
+// Timed effects granted by power-ups
+// stacking: 'refresh' resets the timer, 'extend' adds to it up to maxDuration
+const PowerupEffects = {
+    rapid_fire: {
+        name: 'Rapid Fire',
+        stacking: 'extend',
+        maxDuration: 30000,
+        apply(player, effect) {
+            player.fireRateMultiplier *= 0.5;
+        },
+        remove(player, effect) {
+            player.fireRateMultiplier /= 0.5;
+        }
+    },
+    spread_shot: {
+        name: 'Spread Shot',
+        stacking: 'refresh',
+        apply(player, effect) {
+            effect.previousWeapon = player.weapon;
+            player.equipWeapon(new SpreadShot(player));
+        },
+        remove(player, effect) {
+            player.weapon = effect.previousWeapon;
+        }
+    },
+    aegis_shield: {
+        name: 'Aegis Shield',
+        stacking: 'refresh',
+        apply(player, effect) {
+            player.damageImmune = true;
+        },
+        remove(player, effect) {
+            player.damageImmune = false;
+        }
+    }
+};
+
 // Pickup factory
 const PickupFactory = {
+    // Chance of a power-up dropping when an entity is destroyed
+    dropRates: {
+        asteroid: { large: 0.08, medium: 0.04, small: 0.02 },
+        enemy: 0.2
+    },
+    
     create(type, x, y, options = {}) {
         switch (type) {
             case 'rapid_fire':
@@ -177,12 +219,29 @@ const PickupFactory = {
     
     spawnRandomPowerup(x, y) {
         const types = ['rapid_fire', 'spread_shot', 'aegis_shield'];
-        const randomType = Utils.randomChoice(types);
+        const randomType = Utils.randomChoice(types, 'loot');
         return new Powerup(x, y, randomType);
+    },
+    
+    getDropChance(entity) {
+        switch (entity.type) {
+            case 'asteroid':
+                return this.dropRates.asteroid[entity.size] || 0;
+            case 'enemy':
+                return this.dropRates.enemy;
+            default:
+                return 0;
+        }
+    },
+    
+    // Roll for a power-up drop, returns the pickup or null
+    rollPowerupDrop(entity) {
+        if (!Utils.chance(this.getDropChance(entity), 'loot')) return null;
+        return this.spawnRandomPowerup(entity.x, entity.y);
     }
 };
 
 // Export classes
 if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { Pickup, Powerup, Resource, PickupFactory };
+    module.exports = { Pickup, Powerup, Resource, PowerupEffects, PickupFactory };
 }
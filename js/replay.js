@@ -0,0 +1,163 @@
+// Void Drifter - Replays
+
+// A replay is the run seed, the player's loadout and one packed input value per
+// simulation step. Re-simulating from the seed with the same input reproduces the run.
+// inputs is run-length encoded as [bits, steps, bits, steps, ...]
+const Replay = {
+    format: 'void-drifter-replay',
+    version: 1,
+
+    // Bits of the packed per-step input (player.input fields)
+    inputBits: {
+        thrust: 1,
+        rotateLeft: 2,
+        rotateRight: 4,
+        fire: 8,
+        ability: 16
+    },
+
+    pack(input) {
+        let bits = 0;
+        for (const key in this.inputBits) {
+            if (input[key]) bits |= this.inputBits[key];
+        }
+        return bits;
+    },
+
+    unpack(bits, input) {
+        for (const key in this.inputBits) {
+            input[key] = (bits & this.inputBits[key]) !== 0;
+        }
+        return input;
+    },
+
+    serialize(replay) {
+        return JSON.stringify(replay);
+    },
+
+    // Parse a replay file, returns { success, replay, reason }
+    parse(text) {
+        let replay;
+        try {
+            replay = JSON.parse(text);
+        } catch (error) {
+            return { success: false, reason: 'File is not valid JSON' };
+        }
+
+        if (!SaveManager.isPlainObject(replay) || replay.format !== this.format) {
+            return { success: false, reason: 'Not a Void Drifter replay' };
+        }
+        if (!Number.isInteger(replay.version) || replay.version > this.version) {
+            return { success: false, reason: 'Replay is from a newer version of the game' };
+        }
+
+        const validInputs = Array.isArray(replay.inputs) && replay.inputs.length % 2 === 0 &&
+            replay.inputs.every(value => Number.isInteger(value) && value >= 0);
+        const validLoadout = SaveManager.isPlainObject(replay.loadout) &&
+            ['chassis', 'weapon', 'ability'].every(key => typeof replay.loadout[key] === 'string') &&
+            SaveManager.isPlainObject(replay.loadout.upgrades);
+
+        if (typeof replay.mode !== 'string' || !Number.isInteger(replay.seed) ||
+            !Number.isInteger(replay.ticks) || !validInputs || !validLoadout ||
+            !Array.isArray(replay.choices) || !replay.choices.every(choice => typeof choice === 'string')) {
+            return { success: false, reason: 'Replay file is damaged' };
+        }
+
+        if (!SaveManager.isPlainObject(replay.modeOptions)) {
+            replay.modeOptions = {};
+        }
+
+        // Runs on a loaded wave set carry it along
+        const waveSet = replay.modeOptions.waveSet;
+        if (waveSet !== undefined && !WaveScripts.validate(waveSet).success) {
+            return { success: false, reason: 'Replay file is damaged' };
+        }
+
+        return { success: true, replay };
+    }
+};
+
+// Records player input and intermission choices during a run
+class ReplayRecorder {
+    // header: mode, modeOptions, seed and loadout of the run
+    constructor(header) {
+        this.header = header;
+        this.inputs = [];
+        this.choices = [];
+        this.ticks = 0;
+    }
+
+    // Called once per simulation step
+    record(bits) {
+        const last = this.inputs.length - 2;
+        if (last >= 0 && this.inputs[last] === bits) {
+            this.inputs[last + 1]++;
+        } else {
+            this.inputs.push(bits, 1);
+        }
+        this.ticks++;
+    }
+
+    recordChoice(choice) {
+        this.choices.push(choice);
+    }
+
+    // result: summary shown when browsing replays (score, wave, outcome)
+    finish(result) {
+        return {
+            format: Replay.format,
+            version: Replay.version,
+            ...this.header,
+            ticks: this.ticks,
+            inputs: this.inputs.slice(),
+            choices: this.choices.slice(),
+            result
+        };
+    }
+}
+
+// Feeds a replay back into the game, and holds the viewer's playback state
+class ReplayPlayer {
+    constructor(replay) {
+        this.replay = replay;
+        this.paused = false;
+        this.speed = 1;
+        this.rewind();
+    }
+
+    // Back to the first step
+    rewind() {
+        this.run = 0;
+        this.runStart = 0;
+        this.nextChoice = 0;
+        this.finished = false;
+    }
+
+    // Packed input for a step, steps must be read in order (rewind to go back)
+    inputAt(tick) {
+        const inputs = this.replay.inputs;
+        while (this.run < inputs.length && tick >= this.runStart + inputs[this.run + 1]) {
+            this.runStart += inputs[this.run + 1];
+            this.run += 2;
+        }
+        return this.run < inputs.length ? inputs[this.run] : 0;
+    }
+
+    // Intermission choices are replayed in the order they were made
+    takeChoice() {
+        return this.replay.choices[this.nextChoice++] || null;
+    }
+
+    // Real time to simulate this frame
+    scaleFrameTime(frameTime) {
+        return this.paused || this.finished ? 0 : frameTime * this.speed;
+    }
+}
+
+// Playback speeds offered by the viewer
+ReplayPlayer.SPEEDS = [0.25, 0.5, 1, 2, 4];
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { Replay, ReplayRecorder, ReplayPlayer };
+}
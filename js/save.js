@@ -0,0 +1,466 @@
+// Void Drifter - Save Data
+
+const SaveManager = {
+    storageKey: 'voidDrifterData',
+    exportFormat: 'void-drifter-save',
+    maxHighScores: 10,
+
+    // Current save format version
+    version: 4,
+
+    getDefaults() {
+        return {
+            version: this.version,
+            scrap: 0,
+            crystals: 0,
+            chassis: 'default',
+            weapon: 'blaster',
+            ability: 'hyperspace',
+            unlocked: {
+                chassis: ['default'],
+                weapons: ['blaster'],
+                abilities: ['hyperspace']
+            },
+            upgrades: {},
+            settings: {
+                masterVolume: 0.7,
+                sfxVolume: 1.0,
+                musicVolume: 0.5,
+                muted: false
+            },
+            highScores: {
+                classic: [],
+                gauntlet: [],
+                daily: []
+            }
+        };
+    },
+
+    // The original single save slot belongs to the default profile
+    getStorageKey(profileId = ProfileManager.defaultId) {
+        return profileId === ProfileManager.defaultId ? this.storageKey : `${this.storageKey}_${profileId}`;
+    },
+
+    getBackupKey(profileId) {
+        return `${this.getStorageKey(profileId)}_backup`;
+    },
+
+    // Migrations, keyed by the version they upgrade from
+    migrations: {
+        // Version 1 saves predate the version field, layout is otherwise unchanged
+        1: (data) => data,
+
+        // Version 3 adds per-profile settings and high scores
+        2: (data) => {
+            data.settings = {};
+            data.highScores = {};
+            return data;
+        },
+
+        // Version 4 adds the daily challenge table, filled in from the defaults
+        3: (data) => data
+    },
+
+    load(profileId) {
+        const raw = Utils.storage.load(this.getStorageKey(profileId), null);
+        if (raw === null) {
+            return this.getDefaults();
+        }
+
+        return this.restore(raw, { backupKey: this.getBackupKey(profileId) }).data;
+    },
+
+    save(data, profileId) {
+        return Utils.storage.save(this.getStorageKey(profileId), data);
+    },
+
+    remove(profileId) {
+        Utils.storage.remove(this.getStorageKey(profileId));
+        Utils.storage.remove(this.getBackupKey(profileId));
+    },
+
+    // Migrate, fill in and validate raw save data
+    // Returns { data, migrated, repaired } where repaired lists recovered fields
+    restore(raw, options = {}) {
+        if (!this.isPlainObject(raw)) {
+            console.warn('Save data is corrupted, starting fresh');
+            return { data: this.getDefaults(), migrated: false, repaired: ['*'] };
+        }
+
+        let data = JSON.parse(JSON.stringify(raw));
+        const fromVersion = Number.isInteger(data.version) ? data.version : 1;
+        const migrated = fromVersion < this.version;
+
+        if (fromVersion > this.version) {
+            console.warn(`Save data is from a newer version (${fromVersion}), loading what is recognised`);
+        }
+
+        // Keep a copy of the original before changing its layout
+        if (migrated && options.backupKey) {
+            Utils.storage.save(options.backupKey, raw);
+        }
+
+        data = this.migrate(data, fromVersion);
+        data = this.deepMerge(this.getDefaults(), data);
+
+        const repaired = this.validate(data);
+        if (repaired.length > 0) {
+            console.warn('Recovered corrupted save fields:', repaired.join(', '));
+        }
+
+        data.version = this.version;
+        return { data, migrated, repaired };
+    },
+
+    migrate(data, fromVersion) {
+        for (let version = fromVersion; version < this.version; version++) {
+            const migration = this.migrations[version];
+            if (migration) {
+                data = migration(data);
+            }
+            data.version = version + 1;
+        }
+        return data;
+    },
+
+    // Copy defaults into data for any missing keys
+    deepMerge(defaults, data) {
+        const result = { ...data };
+
+        for (const key in defaults) {
+            if (!(key in data) || data[key] === undefined || data[key] === null) {
+                result[key] = defaults[key];
+            } else if (this.isPlainObject(defaults[key]) && this.isPlainObject(data[key])) {
+                result[key] = this.deepMerge(defaults[key], data[key]);
+            }
+        }
+
+        return result;
+    },
+
+    // Fix fields with the wrong type or impossible values, returns the repaired field names
+    validate(data) {
+        const defaults = this.getDefaults();
+        const repaired = [];
+
+        // Resources
+        for (const key of ['scrap', 'crystals']) {
+            const value = data[key];
+            if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+                data[key] = defaults[key];
+                repaired.push(key);
+            } else if (!Number.isInteger(value)) {
+                data[key] = Math.floor(value);
+                repaired.push(key);
+            }
+        }
+
+        // Unlocked items must exist in the catalog, defaults always unlocked
+        if (!this.isPlainObject(data.unlocked)) {
+            data.unlocked = defaults.unlocked;
+            repaired.push('unlocked');
+        }
+
+        for (const category in defaults.unlocked) {
+            const list = data.unlocked[category];
+            const valid = Array.isArray(list) ?
+                list.filter((id, i) => this.hasKey(ItemCatalog[category], id) && list.indexOf(id) === i) :
+                [];
+
+            defaults.unlocked[category].forEach(id => {
+                if (!valid.includes(id)) valid.unshift(id);
+            });
+
+            if (!Array.isArray(list) || valid.length !== list.length) {
+                repaired.push(`unlocked.${category}`);
+            }
+            data.unlocked[category] = valid;
+        }
+
+        // Equipped items must be unlocked
+        for (const category in Shop.selectionKeys) {
+            const key = Shop.selectionKeys[category];
+            if (!data.unlocked[category].includes(data[key])) {
+                data[key] = defaults[key];
+                repaired.push(key);
+            }
+        }
+
+        // Upgrade levels must be known and within range
+        if (!this.isPlainObject(data.upgrades)) {
+            data.upgrades = {};
+            repaired.push('upgrades');
+        }
+
+        for (const id in data.upgrades) {
+            const level = data.upgrades[id];
+            if (!this.hasKey(UpgradeTree, id) || !Number.isInteger(level) || level < 0) {
+                delete data.upgrades[id];
+                repaired.push(`upgrades.${id}`);
+            } else if (level > UpgradeSystem.getMaxLevel(id)) {
+                data.upgrades[id] = UpgradeSystem.getMaxLevel(id);
+                repaired.push(`upgrades.${id}`);
+            }
+        }
+
+        // Settings
+        if (!this.isPlainObject(data.settings)) {
+            data.settings = defaults.settings;
+            repaired.push('settings');
+        }
+
+        for (const key in defaults.settings) {
+            const value = data.settings[key];
+            const expected = typeof defaults.settings[key];
+            if (typeof value !== expected || (expected === 'number' && !Number.isFinite(value))) {
+                data.settings[key] = defaults.settings[key];
+                repaired.push(`settings.${key}`);
+            } else if (expected === 'number') {
+                data.settings[key] = Utils.clamp(value, 0, 1);
+            }
+        }
+
+        // High scores, best first
+        if (!this.isPlainObject(data.highScores)) {
+            data.highScores = defaults.highScores;
+            repaired.push('highScores');
+        }
+
+        for (const mode in defaults.highScores) {
+            const list = data.highScores[mode];
+            const valid = Array.isArray(list) ?
+                list.filter(entry => this.isPlainObject(entry) &&
+                    Number.isInteger(entry.score) && entry.score >= 0 &&
+                    Number.isInteger(entry.wave) && entry.wave >= 0) :
+                [];
+
+            if (!Array.isArray(list) || valid.length !== list.length) {
+                repaired.push(`highScores.${mode}`);
+            }
+            data.highScores[mode] = valid
+                .sort((a, b) => b.score - a.score)
+                .slice(0, this.maxHighScores);
+        }
+
+        return repaired;
+    },
+
+    // Insert a score into the profile's table, returns its rank (0-based) or -1
+    addHighScore(data, mode, entry) {
+        const list = data.highScores[mode];
+        if (!list) return -1;
+
+        list.push(entry);
+        list.sort((a, b) => b.score - a.score);
+        list.length = Math.min(list.length, this.maxHighScores);
+
+        return list.indexOf(entry);
+    },
+
+    // Top score of each table, null if empty. Read only, works on raw saves of any version
+    getBestScores(data) {
+        const tables = data && this.isPlainObject(data.highScores) ? data.highScores : {};
+        const best = {};
+
+        for (const mode in this.getDefaults().highScores) {
+            const top = Array.isArray(tables[mode]) ? tables[mode][0] : null;
+            best[mode] = top && Number.isFinite(top.score) ? top.score : null;
+        }
+
+        return best;
+    },
+
+    // Serialize save data for download, with a checksum to detect edits
+    exportData(data) {
+        const payload = JSON.stringify(data);
+
+        return JSON.stringify({
+            format: this.exportFormat,
+            exportedAt: new Date().toISOString(),
+            checksum: this.checksum(payload),
+            data
+        }, null, 2);
+    },
+
+    // Parse an exported file, returns { success, data, summary, reason }
+    parseExport(text) {
+        let file;
+        try {
+            file = JSON.parse(text);
+        } catch (e) {
+            return { success: false, reason: 'File is not valid JSON' };
+        }
+
+        if (!this.isPlainObject(file) || file.format !== this.exportFormat) {
+            return { success: false, reason: 'Not a Void Drifter save file' };
+        }
+
+        if (file.checksum !== this.checksum(JSON.stringify(file.data))) {
+            return { success: false, reason: 'Checksum mismatch, the file is damaged or was edited' };
+        }
+
+        // Same validation as normal loading, without touching the backup slot
+        const { data, repaired } = this.restore(file.data);
+        if (repaired.includes('*')) {
+            return { success: false, reason: 'Save data is corrupted' };
+        }
+
+        return { success: true, data, summary: this.summarize(data) };
+    },
+
+    summarize(data) {
+        const names = (category) => data.unlocked[category].map(id => ItemCatalog[category][id].name);
+        const upgradeLevels = Object.values(data.upgrades).reduce((total, level) => total + level, 0);
+
+        return {
+            scrap: data.scrap,
+            crystals: data.crystals,
+            chassis: names('chassis'),
+            weapons: names('weapons'),
+            abilities: names('abilities'),
+            upgradeLevels
+        };
+    },
+
+    // FNV-1a hash of a string, as hex
+    checksum(text) {
+        return Utils.hashString(text).toString(16).padStart(8, '0');
+    },
+
+    isPlainObject(value) {
+        return typeof value === 'object' && value !== null && !Array.isArray(value);
+    },
+
+    hasKey(object, key) {
+        return typeof key === 'string' && Object.prototype.hasOwnProperty.call(object, key);
+    }
+};
+
+// Save profiles, each with its own save slot
+const ProfileManager = {
+    indexKey: 'voidDrifterProfiles',
+    defaultId: 'default',
+    maxNameLength: 20,
+
+    getDefaultIndex() {
+        return {
+            active: this.defaultId,
+            profiles: [{ id: this.defaultId, name: 'Pilot' }]
+        };
+    },
+
+    loadIndex() {
+        const index = Utils.storage.load(this.indexKey, null);
+
+        if (!SaveManager.isPlainObject(index) || !Array.isArray(index.profiles)) {
+            return this.getDefaultIndex();
+        }
+
+        const profiles = index.profiles.filter(profile => SaveManager.isPlainObject(profile) &&
+            typeof profile.id === 'string' && typeof profile.name === 'string');
+        if (profiles.length === 0) {
+            return this.getDefaultIndex();
+        }
+
+        const active = profiles.some(profile => profile.id === index.active) ? index.active : profiles[0].id;
+        return { active, profiles };
+    },
+
+    saveIndex(index) {
+        return Utils.storage.save(this.indexKey, index);
+    },
+
+    getProfiles() {
+        return this.loadIndex().profiles;
+    },
+
+    getActive() {
+        const index = this.loadIndex();
+        return index.profiles.find(profile => profile.id === index.active);
+    },
+
+    setActive(id) {
+        const index = this.loadIndex();
+        if (!index.profiles.some(profile => profile.id === id)) return false;
+
+        index.active = id;
+        this.saveIndex(index);
+        return true;
+    },
+
+    sanitizeName(name) {
+        return String(name || '').trim().slice(0, this.maxNameLength);
+    },
+
+    // Create a profile with fresh save data, returns { success, profile, reason }
+    create(name) {
+        const cleanName = this.sanitizeName(name);
+        if (!cleanName) {
+            return { success: false, reason: 'Enter a profile name' };
+        }
+
+        const index = this.loadIndex();
+        if (index.profiles.some(profile => profile.name === cleanName)) {
+            return { success: false, reason: `${cleanName} already exists` };
+        }
+
+        let id;
+        do {
+            id = `p${Date.now().toString(36)}${Utils.randomInt(0, 1295).toString(36)}`;
+        } while (index.profiles.some(profile => profile.id === id));
+
+        const profile = { id, name: cleanName };
+        index.profiles.push(profile);
+        this.saveIndex(index);
+        SaveManager.save(SaveManager.getDefaults(), id);
+
+        return { success: true, profile };
+    },
+
+    rename(id, name) {
+        const cleanName = this.sanitizeName(name);
+        if (!cleanName) {
+            return { success: false, reason: 'Enter a profile name' };
+        }
+
+        const index = this.loadIndex();
+        const profile = index.profiles.find(p => p.id === id);
+        if (!profile) {
+            return { success: false, reason: 'Unknown profile' };
+        }
+        if (index.profiles.some(p => p.id !== id && p.name === cleanName)) {
+            return { success: false, reason: `${cleanName} already exists` };
+        }
+
+        profile.name = cleanName;
+        this.saveIndex(index);
+        return { success: true, profile };
+    },
+
+    // Delete a profile and its save, the last profile can't be deleted
+    remove(id) {
+        const index = this.loadIndex();
+        if (index.profiles.length <= 1) {
+            return { success: false, reason: 'Cannot delete the only profile' };
+        }
+
+        const profile = index.profiles.find(p => p.id === id);
+        if (!profile) {
+            return { success: false, reason: 'Unknown profile' };
+        }
+
+        index.profiles = index.profiles.filter(p => p.id !== id);
+        if (index.active === id) {
+            index.active = index.profiles[0].id;
+        }
+
+        this.saveIndex(index);
+        SaveManager.remove(id);
+        return { success: true, profile };
+    }
+};
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SaveManager, ProfileManager };
+}
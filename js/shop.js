@@ -0,0 +1,147 @@
+// Void Drifter - Hangar Shop
+
+// Every hangar item, grouped by playerData.unlocked category
+// requires: other items ('category:id') that must be unlocked first
+const ItemCatalog = {
+    chassis: {
+        default: {
+            name: 'Standard',
+            description: 'Balanced all-round hull',
+            cost: { scrap: 0, crystals: 0 }
+        },
+        interceptor: {
+            name: 'Interceptor',
+            description: 'Fast and agile, but lightly armored',
+            cost: { scrap: 300, crystals: 0 }
+        },
+        tank: {
+            name: 'Bulwark',
+            description: 'Heavy hull and shields, slow to turn',
+            cost: { scrap: 500, crystals: 3 },
+            requires: ['chassis:interceptor']
+        }
+    },
+    weapons: {
+        blaster: {
+            name: 'Blaster',
+            description: 'Reliable energy bolts',
+            cost: { scrap: 0, crystals: 0 }
+        },
+        laser_gatling: {
+            name: 'Laser Gatling',
+            description: 'Very fast, inaccurate stream of weak bolts',
+            cost: { scrap: 250, crystals: 0 }
+        },
+        spread_shot: {
+            name: 'Spread Shot',
+            description: 'Fires a fan of three projectiles',
+            cost: { scrap: 400, crystals: 2 }
+        },
+        plasma_cannon: {
+            name: 'Plasma Cannon',
+            description: 'Slow, heavy plasma balls with high heat',
+            cost: { scrap: 600, crystals: 5 },
+            requires: ['weapons:laser_gatling']
+        }
+    },
+    abilities: {
+        hyperspace: {
+            name: 'Hyperspace',
+            description: 'Teleport to a random location',
+            cost: { scrap: 0, crystals: 0 }
+        },
+        dash: {
+            name: 'Dash',
+            description: 'Burst of forward thrust',
+            cost: { scrap: 200, crystals: 0 }
+        },
+        shield: {
+            name: 'Shield Overcharge',
+            description: 'Instantly restore shields',
+            cost: { scrap: 350, crystals: 3 },
+            requires: ['abilities:dash']
+        }
+    }
+};
+
+// Shop rules
+const Shop = {
+    // playerData key holding the equipped item for each category
+    selectionKeys: {
+        chassis: 'chassis',
+        weapons: 'weapon',
+        abilities: 'ability'
+    },
+
+    getItem(category, id) {
+        return ItemCatalog[category] ? ItemCatalog[category][id] || null : null;
+    },
+
+    isUnlocked(playerData, category, id) {
+        return playerData.unlocked[category].includes(id);
+    },
+
+    // Requirements not yet unlocked, as item names
+    getMissingRequirements(playerData, category, id) {
+        const item = this.getItem(category, id);
+        if (!item || !item.requires) return [];
+
+        return item.requires
+            .map(requirement => requirement.split(':'))
+            .filter(([reqCategory, reqId]) => !this.isUnlocked(playerData, reqCategory, reqId))
+            .map(([reqCategory, reqId]) => this.getItem(reqCategory, reqId).name);
+    },
+
+    // Resources still needed to afford an item
+    getShortfall(playerData, item) {
+        return {
+            scrap: Math.max(0, item.cost.scrap - playerData.scrap),
+            crystals: Math.max(0, item.cost.crystals - playerData.crystals)
+        };
+    },
+
+    canAfford(playerData, item) {
+        const shortfall = this.getShortfall(playerData, item);
+        return shortfall.scrap === 0 && shortfall.crystals === 0;
+    },
+
+    // Attempt a purchase, returns { success, reason }
+    purchase(playerData, category, id) {
+        const item = this.getItem(category, id);
+        if (!item) {
+            return { success: false, reason: 'Unknown item' };
+        }
+
+        if (this.isUnlocked(playerData, category, id)) {
+            return { success: false, reason: `${item.name} is already unlocked` };
+        }
+
+        const missing = this.getMissingRequirements(playerData, category, id);
+        if (missing.length > 0) {
+            return { success: false, reason: `Requires ${missing.join(', ')}` };
+        }
+
+        if (!this.canAfford(playerData, item)) {
+            const shortfall = this.getShortfall(playerData, item);
+            return { success: false, reason: `Need ${this.formatCost(shortfall)} more` };
+        }
+
+        playerData.scrap -= item.cost.scrap;
+        playerData.crystals -= item.cost.crystals;
+        playerData.unlocked[category].push(id);
+
+        return { success: true, reason: `${item.name} unlocked` };
+    },
+
+    formatCost(cost) {
+        const parts = [];
+        if (cost.scrap > 0) parts.push(`${cost.scrap} scrap`);
+        if (cost.crystals > 0) parts.push(`${cost.crystals} crystals`);
+        return parts.length > 0 ? parts.join(' + ') : 'free';
+    }
+};
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ItemCatalog, Shop };
+}
@@ -0,0 +1,170 @@
+// Void Drifter - Spawn Safety
+
+// Rules that keep new hazards from appearing on top of the player
+const SpawnRules = {
+    playerClearance: 200, // asteroids and enemies never appear closer than this to the player
+    attempts: 12, // random points tried before settling for the farthest one
+    warpDelay: 1200, // ms an enemy's warp-in marker shows before it appears
+    respawnClearance: 150, // radius around the respawn point that must be free of hazards
+    respawnWait: 3000, // ms to wait for the respawn point to clear before hazards are pushed away
+
+    // Where the player is, or where they will respawn, null if neither
+    getPlayerPosition(game) {
+        if (game.player && game.player.alive) return { x: game.player.x, y: game.player.y };
+        if (game.respawnPending) return game.getRespawnPoint();
+        return null;
+    },
+
+    distanceToPlayer(x, y, game) {
+        const player = this.getPlayerPosition(game);
+        if (!player) return Infinity;
+        return Utils.wrappedDistance(x, y, player.x, player.y, game.width, game.height);
+    },
+
+    isClear(x, y, game, clearance = this.playerClearance) {
+        return this.distanceToPlayer(x, y, game) >= clearance;
+    },
+
+    // First clear point from generate(attempt), or the farthest from the player of those tried
+    findPoint(generate, game, clearance = this.playerClearance) {
+        let best = null;
+        let bestDistance = -1;
+
+        for (let attempt = 0; attempt < this.attempts; attempt++) {
+            const point = generate(attempt);
+            const distance = this.distanceToPlayer(point.x, point.y, game);
+            if (distance >= clearance) return point;
+
+            if (distance > bestDistance) {
+                best = point;
+                bestDistance = distance;
+            }
+        }
+
+        return best;
+    },
+
+    // Asteroids, enemies, enemy fire and pending warp-ins
+    isHazard(entity, game) {
+        if (entity.type === 'projectile') return entity.owner !== game.player;
+        return entity.type === 'asteroid' || entity.type === 'enemy' || entity.type === 'warp';
+    },
+
+    // Hazards overlapping a circle
+    getHazards(game, x, y, radius) {
+        return game.entities.filter(entity => entity.alive && this.isHazard(entity, game) &&
+            Utils.wrappedDistance(x, y, entity.x, entity.y, game.width, game.height) < radius + entity.getCollisionRadius());
+    },
+
+    // Push hazards out of a circle and send them drifting away, enemy fire inside it fizzles
+    clearArea(game, x, y, radius) {
+        for (const hazard of this.getHazards(game, x, y, radius)) {
+            if (hazard.type === 'projectile') {
+                hazard.destroy();
+                continue;
+            }
+
+            let dx = Utils.wrapDelta(x, hazard.x, game.width);
+            let dy = Utils.wrapDelta(y, hazard.y, game.height);
+            let distance = Math.sqrt(dx * dx + dy * dy);
+            if (distance === 0) {
+                const angle = Utils.random(0, Math.PI * 2, 'spawning');
+                dx = Math.cos(angle);
+                dy = Math.sin(angle);
+                distance = 1;
+            }
+
+            const push = radius + hazard.getCollisionRadius();
+            const position = Utils.wrapPosition(x + dx / distance * push, y + dy / distance * push, game.width, game.height);
+            hazard.x = position.x;
+            hazard.y = position.y;
+
+            if (hazard.physics) {
+                const speed = Math.max(Utils.vector.magnitude(hazard.physics.velocity), 50);
+                hazard.physics.velocity.x = dx / distance * speed;
+                hazard.physics.velocity.y = dy / distance * speed;
+            }
+        }
+    }
+};
+
+// Telegraph where an enemy is about to appear, the enemy enters the field when the marker expires
+class WarpMarker extends Entity {
+    // options.delay: ms before the warp-in
+    constructor(entity, options = {}) {
+        super(entity.x, entity.y, {
+            type: 'warp',
+            color: entity.color,
+            glow: true
+        });
+
+        this.entity = entity;
+        this.delay = options.delay !== undefined ? options.delay : SpawnRules.warpDelay;
+        this.timer = this.delay;
+        this.size = entity.getRenderRadius();
+    }
+
+    update(deltaTime, game) {
+        super.update(deltaTime, game);
+
+        this.timer -= deltaTime;
+        if (this.timer <= 0) {
+            this.warpIn(game);
+        }
+    }
+
+    warpIn(game) {
+        this.destroy();
+
+        // The marker may have been pushed aside by a respawn
+        this.entity.x = this.x;
+        this.entity.y = this.y;
+        this.entity.savePreviousState();
+
+        // Bosses set up their weak points when they spawn
+        if (this.entity.spawn) {
+            this.entity.spawn(game);
+        } else {
+            game.addEntity(this.entity);
+        }
+        game.events.emit('warpedIn', { entity: this.entity });
+    }
+
+    // Space the arriving entity will take up
+    getCollisionRadius() {
+        return this.entity.getCollisionRadius();
+    }
+
+    // 0 when placed, 1 at the warp-in
+    getProgress() {
+        return this.delay > 0 ? 1 - this.timer / this.delay : 1;
+    }
+
+    draw(ctx) {
+        const progress = this.getProgress();
+
+        // Ring closing in on the arrival point
+        ctx.strokeStyle = this.color;
+        ctx.lineWidth = this.lineWidth;
+        ctx.globalAlpha *= 0.3 + 0.7 * progress;
+        ctx.setLineDash([6, 6]);
+        ctx.beginPath();
+        ctx.arc(0, 0, this.size * (2 - progress), 0, Math.PI * 2);
+        ctx.stroke();
+        ctx.setLineDash([]);
+
+        // Crosshair
+        const arm = this.size * 0.5;
+        ctx.beginPath();
+        ctx.moveTo(-arm, 0);
+        ctx.lineTo(arm, 0);
+        ctx.moveTo(0, -arm);
+        ctx.lineTo(0, arm);
+        ctx.stroke();
+    }
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SpawnRules, WarpMarker };
+}
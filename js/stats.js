@@ -0,0 +1,61 @@
+// Void Drifter - Run Statistics
+
+// Tallies the player's combat stats for the current run from the event bus
+class StatsTracker {
+    constructor(events) {
+        this.reset();
+
+        events.on('gameStarted', () => this.reset());
+        events.on('weaponFired', ({ owner, shots }) => {
+            if (owner.type === 'player') this.stats.shotsFired += shots;
+        });
+        events.on('projectileImpact', ({ damage }) => {
+            if (this.byPlayer(damage)) this.stats.hits++;
+        });
+        events.on('damageDealt', ({ target, damage }) => {
+            if (target.type === 'player') {
+                this.stats.damageTaken += damage.dealt + damage.absorbed;
+            } else if (this.byPlayer(damage)) {
+                this.stats.damageDealt += damage.dealt;
+            }
+        });
+        events.on('entityDestroyed', ({ entity, damage }) => {
+            if (!this.byPlayer(damage)) return;
+            this.stats.kills[entity.type] = (this.stats.kills[entity.type] || 0) + 1;
+        });
+        events.on('pickupCollected', () => this.stats.pickups++);
+        events.on('overheated', ({ owner }) => {
+            if (owner.type === 'player') this.stats.overheats++;
+        });
+    }
+
+    reset() {
+        this.stats = {
+            shotsFired: 0,
+            hits: 0,
+            damageDealt: 0,
+            damageTaken: 0,
+            kills: {}, // by entity type
+            pickups: 0,
+            overheats: 0
+        };
+    }
+
+    byPlayer(damage) {
+        return damage && damage.attacker && damage.attacker.type === 'player';
+    }
+
+    getTotalKills() {
+        return Object.values(this.stats.kills).reduce((total, count) => total + count, 0);
+    }
+
+    // Fraction of shots that hit something, 0 before the first shot
+    getAccuracy() {
+        return this.stats.shotsFired > 0 ? this.stats.hits / this.stats.shotsFired : 0;
+    }
+}
+
+// Export class
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = StatsTracker;
+}
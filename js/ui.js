@@ -15,6 +15,19 @@ class UIManager {
         this.elements.controlsMenu = document.getElementById('controlsMenu');
         this.elements.gameOverMenu = document.getElementById('gameOverMenu');
         this.elements.pauseMenu = document.getElementById('pauseMenu');
+        this.elements.waveChoiceMenu = document.getElementById('waveChoiceMenu');
+        this.elements.importMenu = document.getElementById('importMenu');
+        this.elements.profileMenu = document.getElementById('profileMenu');
+
+        // Profile elements
+        this.elements.profileName = document.getElementById('profileName');
+        this.elements.profileList = document.getElementById('profileList');
+        this.elements.profileNameInput = document.getElementById('profileNameInput');
+        this.elements.profileFeedback = document.getElementById('profileFeedback');
+
+        // Profile awaiting a second click to confirm deletion, or being renamed
+        this.pendingProfileDelete = null;
+        this.renamingProfile = null;
 
         // HUD elements
         this.elements.hud = document.getElementById('hud');
@@ -24,12 +37,42 @@ class UIManager {
         this.elements.shieldBar = document.getElementById('shieldBar');
         this.elements.heatBar = document.getElementById('heatBar');
         this.elements.abilityCooldown = document.getElementById('abilityCooldown');
+        this.elements.activeEffects = document.getElementById('activeEffects');
+        this.elements.bossHUD = document.getElementById('bossHUD');
+        this.elements.bossName = document.getElementById('bossName');
+        this.elements.bossBar = document.getElementById('bossBar');
+
+        // Boss shown in the HUD health bar
+        this.boss = null;
+
+        // Replay elements
+        this.elements.replayControls = document.getElementById('replayControls');
+        this.elements.replayPause = document.getElementById('replayPause');
+        this.elements.replaySpeed = document.getElementById('replaySpeed');
+        this.elements.replaySeek = document.getElementById('replaySeek');
+        this.elements.replayTime = document.getElementById('replayTime');
+        this.elements.replayFile = document.getElementById('replayFile');
+        this.elements.waveFile = document.getElementById('waveFile');
+        this.elements.menuFeedback = document.getElementById('menuFeedback');
 
         // Game Over stats
         this.elements.finalScore = document.getElementById('finalScore');
         this.elements.finalWave = document.getElementById('finalWave');
         this.elements.earnedScrap = document.getElementById('earnedScrap');
         this.elements.earnedCrystals = document.getElementById('earnedCrystals');
+        this.elements.finalKills = document.getElementById('finalKills');
+        this.elements.finalAccuracy = document.getElementById('finalAccuracy');
+        this.elements.finalSeed = document.getElementById('finalSeed');
+        this.elements.saveReplay = document.getElementById('saveReplay');
+
+        // Settings elements
+        this.elements.masterVolume = document.getElementById('masterVolume');
+        this.elements.sfxVolume = document.getElementById('sfxVolume');
+        this.elements.musicVolume = document.getElementById('musicVolume');
+        this.elements.toggleMute = document.getElementById('toggleMute');
+
+        // Wave choice elements
+        this.elements.waveChoices = document.getElementById('waveChoices');
 
         // Hangar elements
         this.elements.scrapCount = document.getElementById('scrapCount');
@@ -37,6 +80,17 @@ class UIManager {
         this.elements.chassisOptions = document.getElementById('chassisOptions');
         this.elements.weaponOptions = document.getElementById('weaponOptions');
         this.elements.abilityOptions = document.getElementById('abilityOptions');
+        this.elements.chassisStats = document.getElementById('chassisStats');
+        this.elements.upgradeOptions = document.getElementById('upgradeOptions');
+        this.elements.hangarFeedback = document.getElementById('hangarFeedback');
+        this.elements.importFile = document.getElementById('importFile');
+        this.elements.importSummary = document.getElementById('importSummary');
+
+        // Validated save data waiting for the player to confirm the import
+        this.pendingImport = null;
+
+        // Item awaiting a second click to confirm purchase ('category:id')
+        this.pendingPurchase = null;
     }
 
     initEventListeners() {
@@ -46,25 +100,95 @@ class UIManager {
             this.game.startGame('gauntlet');
         });
         document.getElementById('startClassic').addEventListener('click', () => this.game.startGame('classic'));
+        document.getElementById('startDaily').addEventListener('click', () => {
+            this.game.startGame('gauntlet', { seed: Utils.rng.dailySeed(), highScoreTable: 'daily' });
+        });
         document.getElementById('openHangar').addEventListener('click', () => this.showMenu('hangar'));
         document.getElementById('showControls').addEventListener('click', () => this.showMenu('controls'));
+        document.getElementById('openProfiles').addEventListener('click', () => this.showMenu('profiles'));
+        document.getElementById('loadReplay').addEventListener('click', () => this.elements.replayFile.click());
+        this.elements.replayFile.addEventListener('change', (e) => {
+            if (e.target.files.length > 0) this.readReplayFile(e.target.files[0]);
+            e.target.value = '';
+        });
+        document.getElementById('loadWaves').addEventListener('click', () => this.elements.waveFile.click());
+        this.elements.waveFile.addEventListener('change', (e) => {
+            if (e.target.files.length > 0) this.readWaveFile(e.target.files[0]);
+            e.target.value = '';
+        });
+
+        // Profile buttons
+        document.getElementById('createProfile').addEventListener('click', () => this.createProfile());
+        document.getElementById('backFromProfiles').addEventListener('click', () => this.showMenu('main'));
 
         // Hangar buttons
         document.getElementById('backToMenu').addEventListener('click', () => this.showMenu('main'));
+        document.getElementById('exportSave').addEventListener('click', () => this.exportSave());
+        document.getElementById('importSave').addEventListener('click', () => this.elements.importFile.click());
+        this.elements.importFile.addEventListener('change', (e) => {
+            if (e.target.files.length > 0) this.readImportFile(e.target.files[0]);
+            e.target.value = '';
+        });
+
+        // Import confirmation buttons
+        document.getElementById('confirmImport').addEventListener('click', () => {
+            this.game.importPlayerData(this.pendingImport);
+            this.pendingImport = null;
+            this.showMenu('hangar');
+            this.setHangarFeedback('Save imported');
+        });
+        document.getElementById('cancelImport').addEventListener('click', () => {
+            this.pendingImport = null;
+            this.showMenu('hangar');
+        });
 
         // Controls buttons
         document.getElementById('backFromControls').addEventListener('click', () => this.showMenu('main'));
 
         // Game Over buttons
-        document.getElementById('playAgain').addEventListener('click', () => this.game.startGame(this.game.lastGameMode));
+        document.getElementById('playAgain').addEventListener('click', () => this.game.startGame(this.game.lastGameMode, this.game.lastModeOptions));
+        document.getElementById('watchReplay').addEventListener('click', () => this.game.startReplay(this.game.lastReplay));
+        this.elements.saveReplay.addEventListener('click', () => this.saveReplay());
         document.getElementById('backToMenuFromGameOver').addEventListener('click', () => this.showMenu('main'));
 
+        // Replay viewer controls
+        this.elements.replayPause.addEventListener('click', () => {
+            const replayPlayer = this.game.replayPlayer;
+            if (replayPlayer.finished) {
+                // Watch again from the start
+                this.game.restartReplay();
+                replayPlayer.paused = false;
+            } else {
+                replayPlayer.paused = !replayPlayer.paused;
+            }
+            this.updateReplayControls();
+        });
+        this.elements.replaySpeed.addEventListener('click', () => {
+            const replayPlayer = this.game.replayPlayer;
+            const speeds = ReplayPlayer.SPEEDS;
+            replayPlayer.speed = speeds[(speeds.indexOf(replayPlayer.speed) + 1) % speeds.length];
+            this.updateReplayControls();
+        });
+        this.elements.replaySeek.addEventListener('change', (e) => this.game.seekReplay(Number(e.target.value)));
+        document.getElementById('replayExit').addEventListener('click', () => this.game.stopReplay());
+
         // Pause Menu buttons
         document.getElementById('resumeGame').addEventListener('click', () => this.game.togglePause());
         document.getElementById('backToMenuFromPause').addEventListener('click', () => {
             this.game.togglePause();
             this.game.endGame();
         });
+
+        // Settings controls, saved when a slider is released
+        for (const key of ['masterVolume', 'sfxVolume', 'musicVolume']) {
+            this.elements[key].addEventListener('change', (e) => {
+                this.game.updateSettings({ [key]: Number(e.target.value) });
+            });
+        }
+        this.elements.toggleMute.addEventListener('click', () => {
+            this.game.updateSettings({ muted: !this.game.playerData.settings.muted });
+            this.updateSettingsControls();
+        });
     }
 
     showMenu(menuName) {
@@ -78,9 +202,20 @@ class UIManager {
         // Show the specified menu
         switch (menuName) {
             case 'main':
+                this.elements.profileName.textContent = this.game.profile.name;
+                this.setMenuFeedback('');
                 this.elements.mainMenu.classList.remove('hidden');
                 break;
+            case 'profiles':
+                this.pendingProfileDelete = null;
+                this.renamingProfile = null;
+                this.setProfileFeedback('');
+                this.updateProfiles();
+                this.elements.profileMenu.classList.remove('hidden');
+                break;
             case 'hangar':
+                this.pendingPurchase = null;
+                this.setHangarFeedback('');
                 this.updateHangar();
                 this.elements.hangarMenu.classList.remove('hidden');
                 break;
@@ -92,8 +227,15 @@ class UIManager {
                 this.elements.gameOverMenu.classList.remove('hidden');
                 break;
             case 'pause':
+                this.updateSettingsControls();
                 this.elements.pauseMenu.classList.remove('hidden');
                 break;
+            case 'waveChoice':
+                this.elements.waveChoiceMenu.classList.remove('hidden');
+                break;
+            case 'import':
+                this.elements.importMenu.classList.remove('hidden');
+                break;
         }
     }
 
@@ -141,13 +283,109 @@ class UIManager {
         const cooldownProgress = player.ability.cooldown / player.ability.maxCooldown;
         const cooldownAngle = 360 * cooldownProgress;
         this.elements.abilityCooldown.style.setProperty('--cooldown-angle', `${cooldownAngle}deg`);
+
+        // Active power-ups with remaining time
+        const effects = Object.values(player.effects).map(effect => {
+            const symbol = Powerup.getData(effect.type).symbol;
+            return `${symbol} ${Math.ceil(effect.remaining / 1000)}s`;
+        });
+        this.elements.activeEffects.textContent = effects.join('  ');
+
+        this.updateBossBar();
+
+        if (this.game.replayPlayer) {
+            this.updateReplayControls();
+        }
+    }
+
+    showBossBar(boss) {
+        this.boss = boss;
+        this.elements.bossHUD.classList.remove('hidden');
+        this.updateBossBar();
+    }
+
+    hideBossBar() {
+        this.boss = null;
+        this.elements.bossHUD.classList.add('hidden');
+    }
+
+    updateBossBar() {
+        const boss = this.boss;
+        if (!boss) return;
+        if (!boss.alive) {
+            this.hideBossBar();
+            return;
+        }
+
+        this.elements.bossName.textContent = `${boss.name} - Phase ${boss.phase + 1}`;
+        this.elements.bossBar.style.setProperty('--fill-width', `${boss.getHealthFraction() * 100}%`);
+        this.elements.bossBar.classList.toggle('shielded', boss.isShielded());
+    }
+
+    showReplayControls() {
+        this.elements.replaySeek.max = this.game.replayPlayer.replay.ticks;
+        this.elements.replayControls.classList.remove('hidden');
+        this.updateReplayControls();
+    }
+
+    hideReplayControls() {
+        this.elements.replayControls.classList.add('hidden');
+    }
+
+    updateReplayControls() {
+        const replayPlayer = this.game.replayPlayer;
+        const formatTime = ticks => {
+            const seconds = Math.floor(ticks * Game.TIMESTEP / 1000);
+            return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+        };
+
+        let label = replayPlayer.paused ? 'Play' : 'Pause';
+        if (replayPlayer.finished) label = 'Restart';
+        this.elements.replayPause.textContent = label;
+        this.elements.replaySpeed.textContent = `${replayPlayer.speed}x`;
+        this.elements.replaySeek.value = this.game.tick;
+        this.elements.replayTime.textContent = `${formatTime(this.game.tick)} / ${formatTime(replayPlayer.replay.ticks)}`;
     }
 
     updateGameOverStats() {
         this.elements.finalScore.textContent = this.game.score;
         this.elements.finalWave.textContent = this.game.wave;
-        this.elements.earnedScrap.textContent = this.game.runStats.scrap;
-        this.elements.earnedCrystals.textContent = this.game.runStats.crystals;
+        this.elements.earnedScrap.textContent = this.game.runRewards.scrap;
+        this.elements.earnedCrystals.textContent = this.game.runRewards.crystals;
+        this.elements.finalKills.textContent = this.game.stats.getTotalKills();
+        this.elements.finalAccuracy.textContent = `${Math.round(this.game.stats.getAccuracy() * 100)}%`;
+        this.elements.finalSeed.textContent = this.game.seed;
+        this.elements.saveReplay.textContent = 'Save Replay';
+    }
+
+    updateSettingsControls() {
+        const settings = this.game.playerData.settings;
+        this.elements.masterVolume.value = settings.masterVolume;
+        this.elements.sfxVolume.value = settings.sfxVolume;
+        this.elements.musicVolume.value = settings.musicVolume;
+        this.elements.toggleMute.textContent = settings.muted ? 'Unmute' : 'Mute';
+    }
+
+    showWaveChoices(choices) {
+        const container = this.elements.waveChoices;
+        container.innerHTML = '';
+
+        choices.forEach(choice => {
+            const boon = GauntletMode.BOONS[choice];
+            const button = document.createElement('button');
+            button.classList.add('menuButton');
+            button.textContent = boon.name;
+
+            const description = document.createElement('div');
+            description.classList.add('choice-description');
+            description.textContent = boon.description;
+            button.appendChild(description);
+
+            button.addEventListener('click', () => this.game.chooseIntermissionOption(choice));
+            container.appendChild(button);
+        });
+
+        this.showMenu('waveChoice');
     }
 
     updateHangar() {
@@ -156,42 +394,431 @@ class UIManager {
         this.elements.crystalCount.textContent = this.game.playerData.crystals;
 
         // Populate chassis options
-        this.populateHangarOptions(this.elements.chassisOptions, this.game.playerData.chassis, this.game.playerData.unlocked.chassis);
+        this.populateHangarOptions(this.elements.chassisOptions, 'chassis');
+        this.renderChassisStats(this.game.playerData.chassis);
 
         // Populate weapon options
-        this.populateHangarOptions(this.elements.weaponOptions, this.game.playerData.weapon, this.game.playerData.unlocked.weapons);
+        this.populateHangarOptions(this.elements.weaponOptions, 'weapons');
 
         // Populate ability options
-        this.populateHangarOptions(this.elements.abilityOptions, this.game.playerData.ability, this.game.playerData.unlocked.abilities);
+        this.populateHangarOptions(this.elements.abilityOptions, 'abilities');
+
+        // Populate upgrade tree
+        this.populateUpgrades();
+    }
+
+    populateUpgrades() {
+        const container = this.elements.upgradeOptions;
+        const upgrades = this.game.playerData.upgrades;
+        container.innerHTML = '';
+
+        for (const id in UpgradeTree) {
+            const upgrade = UpgradeTree[id];
+            const level = UpgradeSystem.getLevel(upgrades, id);
+            const maxLevel = UpgradeSystem.getMaxLevel(id);
+            const cost = UpgradeSystem.getNextCost(upgrades, id);
+            const missing = UpgradeSystem.getMissingRequirements(upgrades, id);
+
+            const row = document.createElement('div');
+            row.classList.add('upgrade-row');
+            row.classList.add(`tier-${upgrade.tier}`);
+
+            const info = document.createElement('div');
+            info.classList.add('upgrade-info');
+            info.textContent = `${upgrade.name} ${level}/${maxLevel}`;
+
+            const effect = document.createElement('div');
+            effect.classList.add('upgrade-effect');
+            const current = level > 0 ? upgrade.describe(level) : 'none';
+            effect.textContent = cost ? `${current} → ${upgrade.describe(level + 1)}` : current;
+            info.appendChild(effect);
+            row.appendChild(info);
+
+            const button = document.createElement('button');
+            button.classList.add('option-button');
+            if (!cost) {
+                button.textContent = 'MAX';
+                button.disabled = true;
+            } else if (missing.length > 0) {
+                button.textContent = `Requires ${missing.join(', ')}`;
+                button.classList.add('locked');
+            } else {
+                button.textContent = Shop.formatCost(cost);
+            }
+
+            button.addEventListener('click', () => {
+                const result = this.game.purchaseUpgrade(id);
+                this.setHangarFeedback(result.reason, !result.success);
+                this.updateHangar();
+            });
+
+            row.appendChild(button);
+            container.appendChild(row);
+        }
     }
 
-    populateHangarOptions(container, currentSelection, unlockedItems) {
+    populateHangarOptions(container, category) {
+        const playerData = this.game.playerData;
+        const currentSelection = playerData[Shop.selectionKeys[category]];
         container.innerHTML = '';
         
-        unlockedItems.forEach(item => {
+        for (const id in ItemCatalog[category]) {
+            const item = ItemCatalog[category][id];
+            const unlocked = Shop.isUnlocked(playerData, category, id);
+            const key = `${category}:${id}`;
+
             const button = document.createElement('button');
-            button.textContent = item.replace('_', ' ').toUpperCase();
+            button.textContent = item.name.toUpperCase();
+            button.title = item.description;
             button.classList.add('option-button');
             
-            if (item === currentSelection) {
+            if (id === currentSelection) {
                 button.classList.add('selected');
             }
+
+            if (!unlocked) {
+                button.classList.add('locked');
+                if (this.pendingPurchase === key) {
+                    button.classList.add('confirm');
+                }
+
+                const cost = document.createElement('div');
+                cost.classList.add('option-cost');
+                cost.textContent = Shop.formatCost(item.cost);
+                button.appendChild(cost);
+            }
             
             button.addEventListener('click', () => {
-                // Update player data and UI
-                if (container === this.elements.chassisOptions) this.game.playerData.chassis = item;
-                if (container === this.elements.weaponOptions) this.game.playerData.weapon = item;
-                if (container === this.elements.abilityOptions) this.game.playerData.ability = item;
+                if (unlocked) {
+                    this.pendingPurchase = null;
+                    this.game.selectItem(category, id);
+                    this.setHangarFeedback(item.description);
+                } else {
+                    this.handlePurchaseClick(category, id);
+                }
                 
                 this.updateHangar();
             });
+
+            // Preview chassis stats against the equipped one
+            if (category === 'chassis') {
+                button.addEventListener('mouseenter', () => this.renderChassisStats(id));
+                button.addEventListener('mouseleave', () => this.renderChassisStats(currentSelection));
+            }
             
             container.appendChild(button);
+        }
+    }
+
+    renderChassisStats(chassisId) {
+        const container = this.elements.chassisStats;
+        const shown = ChassisFactory.get(chassisId);
+        const equipped = ChassisFactory.get(this.game.playerData.chassis);
+        container.innerHTML = '';
+
+        ChassisStats.forEach(stat => {
+            const value = ChassisFactory.getStat(shown, stat);
+            const diff = Math.round((value - ChassisFactory.getStat(equipped, stat)) * 10) / 10;
+
+            const row = document.createElement('div');
+            row.classList.add('stat-row');
+
+            const label = document.createElement('span');
+            label.textContent = stat.label;
+            row.appendChild(label);
+
+            const valueElement = document.createElement('span');
+            valueElement.textContent = value;
+            row.appendChild(valueElement);
+
+            const diffElement = document.createElement('span');
+            diffElement.classList.add('stat-diff');
+            if (diff !== 0) {
+                diffElement.textContent = diff > 0 ? `+${diff}` : `${diff}`;
+                if (!stat.neutral) {
+                    diffElement.classList.add(diff > 0 ? 'better' : 'worse');
+                }
+            }
+            row.appendChild(diffElement);
+
+            container.appendChild(row);
+        });
+    }
+
+    handlePurchaseClick(category, id) {
+        const item = Shop.getItem(category, id);
+        const key = `${category}:${id}`;
+        const playerData = this.game.playerData;
+
+        // Explain why the item can't be bought yet
+        const missing = Shop.getMissingRequirements(playerData, category, id);
+        if (missing.length > 0 || !Shop.canAfford(playerData, item)) {
+            this.pendingPurchase = null;
+            this.setHangarFeedback(Shop.purchase(playerData, category, id).reason, true);
+            return;
+        }
+
+        // First click asks for confirmation, second click buys
+        if (this.pendingPurchase !== key) {
+            this.pendingPurchase = key;
+            this.setHangarFeedback(`Click again to buy ${item.name} for ${Shop.formatCost(item.cost)}`);
+            return;
+        }
+
+        this.pendingPurchase = null;
+        const result = this.game.purchaseItem(category, id);
+        this.setHangarFeedback(result.reason, !result.success);
+    }
+
+    updateProfiles() {
+        const container = this.elements.profileList;
+        container.innerHTML = '';
+
+        ProfileManager.getProfiles().forEach(profile => {
+            const active = profile.id === this.game.profile.id;
+            const row = document.createElement('div');
+            row.classList.add('profile-row');
+            if (active) row.classList.add('active');
+
+            if (this.renamingProfile === profile.id) {
+                // Inline rename field
+                const input = document.createElement('input');
+                input.type = 'text';
+                input.value = profile.name;
+                input.maxLength = ProfileManager.maxNameLength;
+                input.classList.add('profile-input');
+                row.appendChild(input);
+
+                row.appendChild(this.createProfileButton('Save', () => {
+                    const result = ProfileManager.rename(profile.id, input.value);
+                    if (!result.success) {
+                        this.setProfileFeedback(result.reason, true);
+                        return;
+                    }
+                    if (active) this.game.profile = result.profile;
+                    this.renamingProfile = null;
+                    this.setProfileFeedback('');
+                }));
+                row.appendChild(this.createProfileButton('Cancel', () => {
+                    this.renamingProfile = null;
+                }));
+            } else {
+                const info = document.createElement('div');
+                info.classList.add('profile-info');
+                info.textContent = active ? `${profile.name} (active)` : profile.name;
+
+                const scores = document.createElement('div');
+                scores.classList.add('profile-scores');
+                scores.textContent = this.describeBestScores(profile);
+                info.appendChild(scores);
+                row.appendChild(info);
+
+                if (!active) {
+                    row.appendChild(this.createProfileButton('Select', () => {
+                        this.game.switchProfile(profile.id);
+                        this.setProfileFeedback(`Switched to ${profile.name}`);
+                    }));
+                }
+                row.appendChild(this.createProfileButton('Rename', () => {
+                    this.renamingProfile = profile.id;
+                    this.pendingProfileDelete = null;
+                }));
+
+                // First click asks for confirmation, second click deletes
+                const confirming = this.pendingProfileDelete === profile.id;
+                const deleteButton = this.createProfileButton(confirming ? 'Confirm' : 'Delete', () => {
+                    if (!confirming) {
+                        this.pendingProfileDelete = profile.id;
+                        this.setProfileFeedback(`Click again to delete ${profile.name} and its hangar`);
+                        return;
+                    }
+
+                    this.pendingProfileDelete = null;
+                    const result = this.game.deleteProfile(profile.id);
+                    this.setProfileFeedback(result.success ? `${profile.name} deleted` : result.reason, !result.success);
+                });
+                if (confirming) deleteButton.classList.add('danger');
+                row.appendChild(deleteButton);
+            }
+
+            container.appendChild(row);
+        });
+    }
+
+    createProfileButton(label, onClick) {
+        const button = document.createElement('button');
+        button.textContent = label;
+        button.classList.add('option-button');
+        button.addEventListener('click', () => {
+            onClick();
+            this.updateProfiles();
+        });
+        return button;
+    }
+
+    describeBestScores(profile) {
+        // Other profiles' saves are only peeked at, loading them would migrate them
+        const data = profile.id === this.game.profile.id
+            ? this.game.playerData
+            : Utils.storage.load(SaveManager.getStorageKey(profile.id), null);
+        const scores = SaveManager.getBestScores(data);
+        const best = (mode) => scores[mode] !== null ? scores[mode] : '-';
+        return `Best Gauntlet: ${best('gauntlet')}  Best Classic: ${best('classic')}  Best Daily: ${best('daily')}`;
+    }
+
+    createProfile() {
+        const result = ProfileManager.create(this.elements.profileNameInput.value);
+        if (!result.success) {
+            this.setProfileFeedback(result.reason, true);
+            return;
+        }
+
+        this.elements.profileNameInput.value = '';
+        this.game.switchProfile(result.profile.id);
+        this.setProfileFeedback(`Created ${result.profile.name}`);
+        this.updateProfiles();
+    }
+
+    setProfileFeedback(text, isError = false) {
+        this.elements.profileFeedback.textContent = text;
+        this.elements.profileFeedback.classList.toggle('error', isError);
+    }
+
+    exportSave() {
+        this.downloadJson('void-drifter-save.json', SaveManager.exportData(this.game.playerData));
+        this.setHangarFeedback('Save exported');
+    }
+
+    saveReplay() {
+        const replay = this.game.lastReplay;
+        this.downloadJson(`void-drifter-replay-${replay.seed}.json`, Replay.serialize(replay));
+        this.elements.saveReplay.textContent = 'Replay Saved';
+    }
+
+    // Offer text as a JSON file download
+    downloadJson(filename, text) {
+        const blob = new Blob([text], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.click();
+
+        // Revoking straight away can cancel the download before the browser starts it
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
+    readReplayFile(file) {
+        const reader = new FileReader();
+
+        reader.onload = () => {
+            const result = Replay.parse(reader.result);
+            if (!result.success) {
+                this.setMenuFeedback(result.reason);
+                return;
+            }
+
+            this.game.startReplay(result.replay);
+        };
+        reader.onerror = () => this.setMenuFeedback('Could not read file');
+
+        reader.readAsText(file);
+    }
+
+    // Play a gauntlet run that opens with the waves from a wave set file (see WaveScripts)
+    readWaveFile(file) {
+        const reader = new FileReader();
+
+        reader.onload = () => {
+            const result = WaveScripts.parse(reader.result);
+            if (!result.success) {
+                this.setMenuFeedback(result.reason);
+                return;
+            }
+
+            this.game.startGame('gauntlet', { waveSet: result.waveSet });
+        };
+        reader.onerror = () => this.setMenuFeedback('Could not read file');
+
+        reader.readAsText(file);
+    }
+
+    setMenuFeedback(text) {
+        this.elements.menuFeedback.textContent = text;
+    }
+
+    readImportFile(file) {
+        const reader = new FileReader();
+
+        reader.onload = () => {
+            const result = SaveManager.parseExport(reader.result);
+            if (!result.success) {
+                this.setHangarFeedback(result.reason, true);
+                return;
+            }
+
+            this.pendingImport = result.data;
+            this.showImportSummary(result.summary);
+        };
+        reader.onerror = () => this.setHangarFeedback('Could not read file', true);
+
+        reader.readAsText(file);
+    }
+
+    showImportSummary(summary) {
+        const lines = [
+            `Scrap Metal: ${summary.scrap}`,
+            `Quantum Crystals: ${summary.crystals}`,
+            `Chassis: ${summary.chassis.join(', ')}`,
+            `Weapons: ${summary.weapons.join(', ')}`,
+            `Abilities: ${summary.abilities.join(', ')}`,
+            `Upgrade Levels: ${summary.upgradeLevels}`
+        ];
+
+        this.elements.importSummary.innerHTML = '';
+        lines.forEach(line => {
+            const row = document.createElement('div');
+            row.textContent = line;
+            this.elements.importSummary.appendChild(row);
+        });
+
+        this.showMenu('import');
+    }
+
+    setHangarFeedback(text, isError = false) {
+        this.elements.hangarFeedback.textContent = text;
+        this.elements.hangarFeedback.classList.toggle('error', isError);
+    }
+
+    // React to gameplay events
+    subscribe(events) {
+        events.on('gameStarted', () => this.hideBossBar());
+        events.on('waveStarted', ({ wave }) => this.showWaveStart(wave));
+        events.on('bossSpawned', ({ boss }) => {
+            this.showBossBar(boss);
+            this.showMessage(`WARNING: ${boss.name.toUpperCase()}`, 3000, { color: boss.color, top: '30%' });
+        });
+        events.on('bossPhaseChanged', ({ boss, phase }) => {
+            this.showMessage(`PHASE ${phase + 1}`, 1500, { color: boss.color, top: '30%' });
+        });
+        events.on('powerupActivated', ({ type }) => {
+            const effect = PowerupEffects[type];
+            if (effect) {
+                this.showMessage(effect.name.toUpperCase(), 1500, { color: Powerup.getData(type).color });
+            }
+        });
+        events.on('overheated', ({ owner }) => {
+            if (owner.type === 'player') {
+                this.showMessage('OVERHEATED', 1000, { fontSize: '18px', color: '#ff4444', top: '30%' });
+            }
         });
     }
 
     // Methods for showing in-game messages
     showMessage(text, duration = 3000, style = {}) {
+        if (this.game.fastForwarding) return;
+
         const messageElement = document.createElement('div');
         messageElement.textContent = text;
         messageElement.classList.add('game-message');
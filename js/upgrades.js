@@ -0,0 +1,179 @@
+// Void Drifter - Upgrade Tree
+
+// Persistent upgrades, levels stored in playerData.upgrades
+// costs: price of each level in order, requires: minimum levels of other upgrades
+const UpgradeTree = {
+    hull_plating: {
+        name: 'Hull Plating',
+        tier: 1,
+        costs: [
+            { scrap: 100, crystals: 0 },
+            { scrap: 200, crystals: 0 },
+            { scrap: 350, crystals: 1 },
+            { scrap: 500, crystals: 2 },
+            { scrap: 750, crystals: 4 }
+        ],
+        describe: level => `+${level * 15} hull`,
+        applyPlayer(player, level) {
+            player.health.max += level * 15;
+            player.health.current = player.health.max;
+        }
+    },
+    thruster_output: {
+        name: 'Thruster Output',
+        tier: 1,
+        costs: [
+            { scrap: 80, crystals: 0 },
+            { scrap: 160, crystals: 0 },
+            { scrap: 300, crystals: 1 },
+            { scrap: 450, crystals: 2 },
+            { scrap: 650, crystals: 3 }
+        ],
+        describe: level => `+${level * 8}% thrust`,
+        applyPlayer(player, level) {
+            player.thrustPower *= 1 + level * 0.08;
+        }
+    },
+    magnet_radius: {
+        name: 'Tractor Magnet',
+        tier: 1,
+        costs: [
+            { scrap: 60, crystals: 0 },
+            { scrap: 120, crystals: 0 },
+            { scrap: 240, crystals: 1 },
+            { scrap: 400, crystals: 2 }
+        ],
+        describe: level => `+${level * 30} pickup radius`,
+        applyPlayer(player, level) {
+            player.magnetRadius += level * 30;
+        }
+    },
+    shield_capacitor: {
+        name: 'Shield Capacitor',
+        tier: 2,
+        requires: { hull_plating: 2 },
+        costs: [
+            { scrap: 200, crystals: 1 },
+            { scrap: 350, crystals: 2 },
+            { scrap: 550, crystals: 3 },
+            { scrap: 800, crystals: 5 }
+        ],
+        describe: level => `+${level * 10} shield, +${level * 2}/s regen`,
+        applyPlayer(player, level) {
+            player.shield.max += level * 10;
+            player.shield.current = player.shield.max;
+            player.shield.regenRate += level * 2;
+        }
+    },
+    heat_sinks: {
+        name: 'Heat Sinks',
+        tier: 2,
+        requires: { thruster_output: 1 },
+        costs: [
+            { scrap: 180, crystals: 1 },
+            { scrap: 320, crystals: 2 },
+            { scrap: 500, crystals: 3 },
+            { scrap: 750, crystals: 5 }
+        ],
+        describe: level => `+${level * 15}% cooling, +${level * 10} heat capacity`,
+        applyWeapon(weapon, level) {
+            weapon.cooldownRate *= 1 + level * 0.15;
+            weapon.maxHeat += level * 10;
+        }
+    },
+    ability_cooldown: {
+        name: 'Ability Recharger',
+        tier: 3,
+        requires: { shield_capacitor: 1, heat_sinks: 1 },
+        costs: [
+            { scrap: 300, crystals: 2 },
+            { scrap: 500, crystals: 3 },
+            { scrap: 750, crystals: 5 },
+            { scrap: 1000, crystals: 7 },
+            { scrap: 1400, crystals: 10 }
+        ],
+        describe: level => `-${level * 8}% ability cooldown`,
+        applyPlayer(player, level) {
+            player.ability.maxCooldown *= 1 - level * 0.08;
+        }
+    }
+};
+
+// Upgrade rules
+const UpgradeSystem = {
+    getLevel(upgrades, id) {
+        return upgrades[id] || 0;
+    },
+
+    getMaxLevel(id) {
+        return UpgradeTree[id].costs.length;
+    },
+
+    // Cost of the next level, or null at max level
+    getNextCost(upgrades, id) {
+        return UpgradeTree[id].costs[this.getLevel(upgrades, id)] || null;
+    },
+
+    // Requirements not yet met, as readable strings
+    getMissingRequirements(upgrades, id) {
+        const requires = UpgradeTree[id].requires || {};
+
+        return Object.keys(requires)
+            .filter(reqId => this.getLevel(upgrades, reqId) < requires[reqId])
+            .map(reqId => `${UpgradeTree[reqId].name} ${requires[reqId]}`);
+    },
+
+    // Attempt to buy the next level, returns { success, reason }
+    purchase(playerData, id) {
+        const upgrade = UpgradeTree[id];
+        if (!upgrade) {
+            return { success: false, reason: 'Unknown upgrade' };
+        }
+
+        const cost = this.getNextCost(playerData.upgrades, id);
+        if (!cost) {
+            return { success: false, reason: `${upgrade.name} is fully upgraded` };
+        }
+
+        const missing = this.getMissingRequirements(playerData.upgrades, id);
+        if (missing.length > 0) {
+            return { success: false, reason: `Requires ${missing.join(', ')}` };
+        }
+
+        if (!Shop.canAfford(playerData, { cost })) {
+            const shortfall = Shop.getShortfall(playerData, { cost });
+            return { success: false, reason: `Need ${Shop.formatCost(shortfall)} more` };
+        }
+
+        playerData.scrap -= cost.scrap;
+        playerData.crystals -= cost.crystals;
+        playerData.upgrades[id] = this.getLevel(playerData.upgrades, id) + 1;
+
+        return { success: true, reason: `${upgrade.name} upgraded to level ${playerData.upgrades[id]}` };
+    },
+
+    // Apply all player stat upgrades at run start
+    applyToPlayer(player, upgrades) {
+        for (const id in UpgradeTree) {
+            const level = this.getLevel(upgrades, id);
+            if (level > 0 && UpgradeTree[id].applyPlayer) {
+                UpgradeTree[id].applyPlayer(player, level);
+            }
+        }
+    },
+
+    // Apply all weapon stat upgrades to a newly equipped weapon
+    applyToWeapon(weapon, upgrades) {
+        for (const id in UpgradeTree) {
+            const level = this.getLevel(upgrades, id);
+            if (level > 0 && UpgradeTree[id].applyWeapon) {
+                UpgradeTree[id].applyWeapon(weapon, level);
+            }
+        }
+    }
+};
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { UpgradeTree, UpgradeSystem };
+}
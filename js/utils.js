@@ -41,19 +41,76 @@ const Utils = {
         return angle;
     },
 
-    // Random number between min and max
-    random(min, max) {
-        return Math.random() * (max - min) + min;
+    // Random number between min and max, drawn from a named rng stream
+    random(min, max, stream = 'default') {
+        return this.rng.next(stream) * (max - min) + min;
     },
 
     // Random integer between min and max (inclusive)
-    randomInt(min, max) {
-        return Math.floor(Math.random() * (max - min + 1)) + min;
+    randomInt(min, max, stream = 'default') {
+        return Math.floor(this.rng.next(stream) * (max - min + 1)) + min;
     },
 
     // Random element from array
-    randomChoice(array) {
-        return array[Math.floor(Math.random() * array.length)];
+    randomChoice(array, stream = 'default') {
+        return array[Math.floor(this.rng.next(stream) * array.length)];
+    },
+
+    // True with the given probability
+    chance(probability, stream = 'default') {
+        return this.rng.next(stream) < probability;
+    },
+
+    // Seedable random number streams
+    // Each named stream is an independent generator derived from the run seed,
+    // so e.g. extra particles never shift what spawns next:
+    //   spawning - asteroids, enemies, wave layouts
+    //   loot     - drops, power-ups, boon choices
+    //   combat   - AI decisions, weapon spread, hyperspace
+    //   visuals  - particles and other cosmetic effects
+    rng: {
+        seed: 0,
+        streams: {},
+
+        // Reseed every stream from one run seed
+        setSeed(seed) {
+            this.seed = seed >>> 0;
+            this.streams = {};
+        },
+
+        // Next float in [0, 1) from a stream (mulberry32)
+        next(name = 'default') {
+            if (this.streams[name] === undefined) {
+                this.streams[name] = Utils.hashString(`${this.seed}:${name}`);
+            }
+
+            const state = (this.streams[name] + 0x6D2B79F5) >>> 0;
+            this.streams[name] = state;
+
+            let t = Math.imul(state ^ (state >>> 15), state | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        },
+
+        // Fresh unpredictable seed for a normal run
+        createSeed() {
+            return Math.floor(Math.random() * 4294967296);
+        },
+
+        // Shared seed for everyone playing on the same (UTC) day
+        dailySeed(date = new Date()) {
+            return Utils.hashString(date.toISOString().slice(0, 10));
+        }
+    },
+
+    // 32-bit FNV-1a hash of a string
+    hashString(text) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
     },
 
     // Screen wrapping for coordinates
@@ -70,6 +127,21 @@ const Utils = {
         return { x: newX, y: newY };
     },
 
+    // Shortest signed difference from a to b on an axis that wraps at size
+    wrapDelta(a, b, size) {
+        let delta = b - a;
+        if (delta > size / 2) delta -= size;
+        else if (delta < -size / 2) delta += size;
+        return delta;
+    },
+
+    // Distance between two points on a wrapping playfield
+    wrappedDistance(x1, y1, x2, y2, width, height) {
+        const dx = this.wrapDelta(x1, x2, width);
+        const dy = this.wrapDelta(y1, y2, height);
+        return Math.sqrt(dx * dx + dy * dy);
+    },
+
     // Check if point is inside circle
     pointInCircle(px, py, cx, cy, radius) {
         return this.distance(px, py, cx, cy) <= radius;
@@ -253,10 +325,15 @@ const Utils = {
         }
     },
 
-    // Local storage utilities
+    // Local storage utilities, without localStorage (headless runs) nothing is stored
     storage: {
+        available() {
+            return typeof localStorage !== 'undefined';
+        },
+
         // Save data to localStorage
         save(key, data) {
+            if (!this.available()) return false;
             try {
                 localStorage.setItem(key, JSON.stringify(data));
                 return true;
@@ -268,6 +345,7 @@ const Utils = {
 
         // Load data from localStorage
         load(key, defaultValue = null) {
+            if (!this.available()) return defaultValue;
             try {
                 const data = localStorage.getItem(key);
                 return data ? JSON.parse(data) : defaultValue;
@@ -279,6 +357,7 @@ const Utils = {
 
         // Remove data from localStorage
         remove(key) {
+            if (!this.available()) return false;
             try {
                 localStorage.removeItem(key);
                 return true;
@@ -313,6 +392,9 @@ const Utils = {
     }
 };
 
+// Unseeded until a run starts
+Utils.rng.setSeed(Utils.rng.createSeed());
+
 // Export for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = Utils;
@@ -0,0 +1,407 @@
+// Void Drifter - Wave Scripts
+
+// A wave script is plain JSON:
+// {
+//   "asteroids": [{ "size": "large", "count": 3, "edge": "sides" }],
+//   "groups": [{ "at": 4000, "types": { "scout_saucer": 2, "hunter_drone": 1 }, "count": 3,
+//                "edge": "top", "formation": "line", "spacing": 50 }],
+//   "modifiers": { "elite": 0.1, "health": 1.2, "speed": 1.1, "accuracy": 0.1, "reaction": 0.8 },
+//   "boss": "void_dreadnought", "level": 1
+// }
+// groups spawn "at" ms after the wave starts; "types" are weights ("type" picks one type);
+// "spacing" is the distance between formation members
+// modifiers: elite chance, enemy health and top speed multipliers, accuracy added to the
+// enemies' own and a multiplier on their reaction time
+// A wave set is { "name", "waves": [script, ...] }, waves past the end are generated.
+// Wave set files are loaded from the main menu and start a gauntlet run
+const WaveScripts = {
+    edges: ['top', 'bottom', 'left', 'right', 'sides', 'any'],
+    formations: ['scatter', 'line', 'vee', 'cluster'],
+    asteroidSizes: ['large', 'medium', 'small'],
+    modifiers: ['elite', 'health', 'speed', 'accuracy', 'reaction'],
+
+    // Limits for loaded files, a wave spawns all its asteroids and each group at once
+    maxAsteroids: 60, // per wave
+    maxEnemies: 40, // per wave, over all groups
+    maxGroupTime: 300000, // ms
+    maxSpacing: 300,
+
+    // Hand-made opening of a gauntlet run
+    gauntlet: {
+        name: 'Gauntlet',
+        waves: [
+            {
+                asteroids: [{ size: 'large', count: 3, edge: 'sides' }]
+            },
+            {
+                asteroids: [{ size: 'large', count: 4, edge: 'sides' }],
+                groups: [{ at: 3000, type: 'scout_saucer', count: 1, edge: 'top' }]
+            },
+            {
+                asteroids: [
+                    { size: 'large', count: 4, edge: 'sides' },
+                    { size: 'medium', count: 2, edge: 'any' }
+                ],
+                groups: [
+                    { at: 0, type: 'scout_saucer', count: 2, edge: 'left', formation: 'line' },
+                    { at: 6000, type: 'hunter_drone', count: 1, edge: 'right' }
+                ]
+            },
+            {
+                asteroids: [{ size: 'large', count: 5, edge: 'sides' }],
+                groups: [
+                    { at: 0, type: 'scout_saucer', count: 3, edge: 'top', formation: 'vee' },
+                    { at: 5000, types: { scout_saucer: 1, hunter_drone: 2 }, count: 2, edge: 'bottom', formation: 'line' }
+                ]
+            }
+        ]
+    },
+
+    // Check a wave set, e.g. one loaded from a JSON file, returns { success, waveSet, reason }
+    validate(waveSet) {
+        if (!SaveManager.isPlainObject(waveSet) || !Array.isArray(waveSet.waves)) {
+            return { success: false, reason: 'Wave set needs a list of waves' };
+        }
+
+        for (let i = 0; i < waveSet.waves.length; i++) {
+            const reason = this.validateWave(waveSet.waves[i]);
+            if (reason) {
+                return { success: false, reason: `Wave ${i + 1}: ${reason}` };
+            }
+        }
+
+        return { success: true, waveSet };
+    },
+
+    parse(text) {
+        let waveSet;
+        try {
+            waveSet = JSON.parse(text);
+        } catch (error) {
+            return { success: false, reason: 'File is not valid JSON' };
+        }
+
+        return this.validate(waveSet);
+    },
+
+    // Returns what is wrong with a wave script, or null
+    validateWave(wave) {
+        if (!SaveManager.isPlainObject(wave)) return 'not an object';
+
+        const isList = (list) => list === undefined || (Array.isArray(list) && list.every(SaveManager.isPlainObject));
+        if (!isList(wave.asteroids)) return 'asteroids must be a list of objects';
+        if (!isList(wave.groups)) return 'groups must be a list of objects';
+        if (wave.modifiers !== undefined && !SaveManager.isPlainObject(wave.modifiers)) return 'modifiers must be an object';
+
+        const isNumber = (value, min, max) => typeof value === 'number' && value >= min && value <= max;
+
+        let asteroids = 0;
+        for (const asteroid of wave.asteroids || []) {
+            if (!this.asteroidSizes.includes(asteroid.size)) return `unknown asteroid size ${asteroid.size}`;
+            if (!Number.isInteger(asteroid.count) || asteroid.count < 0) return 'asteroid count must be a whole number';
+            if (asteroid.edge && !this.edges.includes(asteroid.edge)) return `unknown edge ${asteroid.edge}`;
+            asteroids += asteroid.count;
+        }
+        if (asteroids > this.maxAsteroids) return `no more than ${this.maxAsteroids} asteroids per wave`;
+
+        let enemies = 0;
+
+        for (const group of wave.groups || []) {
+            if (group.types !== undefined && !SaveManager.isPlainObject(group.types)) return 'group types must be an object';
+
+            const types = group.types ? Object.keys(group.types) : [group.type];
+            if (types.length === 0 || !types.every(type => EnemyFactory.TYPES.includes(type))) {
+                return `unknown enemy type in ${types.join(', ')}`;
+            }
+            if (group.types && !types.every(type => typeof group.types[type] === 'number' && group.types[type] > 0)) {
+                return 'group type weights must be positive numbers';
+            }
+            if (!Number.isInteger(group.count) || group.count < 1) return 'group count must be at least 1';
+            if (group.at !== undefined && !isNumber(group.at, 0, this.maxGroupTime)) {
+                return `group time must be a number from 0 to ${this.maxGroupTime}`;
+            }
+            if (group.spacing !== undefined && !(isNumber(group.spacing, 0, this.maxSpacing) && group.spacing > 0)) {
+                return `group spacing must be a number above 0 and at most ${this.maxSpacing}`;
+            }
+            if (group.edge && !this.edges.includes(group.edge)) return `unknown edge ${group.edge}`;
+            if (group.formation && !this.formations.includes(group.formation)) return `unknown formation ${group.formation}`;
+            enemies += group.count;
+        }
+        if (enemies > this.maxEnemies) return `no more than ${this.maxEnemies} enemies per wave`;
+
+        for (const key in wave.modifiers || {}) {
+            if (!this.modifiers.includes(key)) return `unknown modifier ${key}`;
+            if (typeof wave.modifiers[key] !== 'number' || !(wave.modifiers[key] >= 0)) {
+                return `modifier ${key} must be a number of at least 0`;
+            }
+        }
+
+        if (wave.boss !== undefined && !BossTypes[wave.boss]) return `unknown boss ${wave.boss}`;
+        if (wave.level !== undefined && !(Number.isInteger(wave.level) && wave.level >= 1)) {
+            return 'boss level must be a whole number of at least 1';
+        }
+
+        return null;
+    }
+};
+
+// Builds wave scripts for endless play from a difficulty curve
+const WaveGenerator = {
+    // First wave each enemy type can appear on, and its weight from then on
+    enemyTypes: {
+        scout_saucer: { from: 2, weight: 3, weightPerWave: 0, threat: 1, formation: 'line' },
+        hunter_drone: { from: 3, weight: 1, weightPerWave: 0.25, threat: 2, formation: 'vee' },
+        marauder_frigate: { from: 6, weight: 0.5, weightPerWave: 0.15, threat: 4, formation: 'scatter' }
+    },
+
+    // Threat points to spend on enemies: 1 on wave 2, then about one more per wave
+    threatPerWave: 1.1,
+    maxGroupSize: 3,
+    groupInterval: 4000, // ms between groups
+    maxLargeAsteroids: 10,
+
+    // Enemies get tougher and faster past this wave
+    scalingFromWave: 10,
+    healthPerWave: 0.05,
+    speedPerWave: 0.02,
+    maxSpeedMultiplier: 1.5,
+
+    // Enemy gunners sharpen up from the first generated wave
+    accuracyPerWave: 0.02,
+    maxAccuracyBonus: 0.3,
+    reactionPerWave: 0.03,
+    minReactionMultiplier: 0.4,
+
+    // options: bossWaveInterval, eliteChance
+    generate(wave, options = {}) {
+        const bossWaveInterval = options.bossWaveInterval || 5;
+        if (wave % bossWaveInterval === 0) {
+            return {
+                asteroids: [{ size: 'large', count: 2, edge: 'sides' }],
+                boss: BossFactory.getRandomType(),
+                level: wave / bossWaveInterval
+            };
+        }
+
+        const asteroids = [{ size: 'large', count: Math.min(2 + wave, this.maxLargeAsteroids), edge: 'sides' }];
+        if (wave > this.maxLargeAsteroids - 2) {
+            asteroids.push({ size: 'medium', count: wave - (this.maxLargeAsteroids - 2), edge: 'any' });
+        }
+
+        const extra = Math.max(0, wave - this.scalingFromWave);
+        return {
+            asteroids,
+            groups: this.createGroups(this.rollEnemies(wave)),
+            modifiers: {
+                elite: options.eliteChance || 0,
+                health: 1 + extra * this.healthPerWave,
+                speed: Math.min(1 + extra * this.speedPerWave, this.maxSpeedMultiplier),
+                accuracy: Math.min(wave * this.accuracyPerWave, this.maxAccuracyBonus),
+                reaction: Math.max(1 - wave * this.reactionPerWave, this.minReactionMultiplier)
+            }
+        };
+    },
+
+    // Spend the wave's threat budget on unlocked enemy types, returns counts by type
+    rollEnemies(wave) {
+        let budget = wave < 2 ? 0 : Math.round(1 + (wave - 2) * this.threatPerWave);
+        const counts = {};
+
+        while (budget > 0) {
+            const weights = {};
+            for (const type in this.enemyTypes) {
+                const data = this.enemyTypes[type];
+                if (wave >= data.from && data.threat <= budget) {
+                    weights[type] = data.weight + (wave - data.from) * data.weightPerWave;
+                }
+            }
+
+            const type = WaveDirector.pickWeighted(weights);
+            if (!type) break;
+
+            counts[type] = (counts[type] || 0) + 1;
+            budget -= this.enemyTypes[type].threat;
+        }
+
+        return counts;
+    },
+
+    // Split enemies into staggered groups from random edges
+    createGroups(counts) {
+        const groups = [];
+
+        for (const type in counts) {
+            let remaining = counts[type];
+            while (remaining > 0) {
+                const count = Math.min(remaining, this.maxGroupSize);
+                groups.push({
+                    at: groups.length * this.groupInterval,
+                    type,
+                    count,
+                    edge: Utils.randomChoice(['top', 'bottom', 'sides'], 'spawning'),
+                    formation: this.enemyTypes[type].formation
+                });
+                remaining -= count;
+            }
+        }
+
+        return groups;
+    }
+};
+
+// Runs the current wave script: spawns asteroids at once, warps in the boss and enemy groups on their timers
+class WaveDirector {
+    constructor() {
+        this.pending = [];
+        this.time = 0;
+        this.modifiers = {};
+    }
+
+    // options.eliteChance: default when the script has no elite modifier
+    start(script, game, options = {}) {
+        this.time = 0;
+        this.modifiers = {
+            elite: options.eliteChance || 0,
+            health: 1,
+            speed: 1,
+            accuracy: 0,
+            reaction: 1,
+            ...script.modifiers
+        };
+        this.pending = (script.groups || [])
+            .map(group => ({ at: 0, ...group }))
+            .sort((a, b) => a.at - b.at);
+
+        for (const asteroid of script.asteroids || []) {
+            for (let i = 0; i < asteroid.count; i++) {
+                const position = SpawnRules.findPoint(() => this.getEdgePoint(asteroid.edge || 'sides', game), game);
+                game.addEntity(new Asteroid(position.x, position.y, asteroid.size));
+            }
+        }
+
+        // Bosses arrive at the top center, or the bottom when the player is up there
+        if (script.boss) {
+            const position = SpawnRules.findPoint(attempt => ({
+                x: game.width / 2,
+                y: attempt % 2 === 0 ? 0 : game.height
+            }), game);
+            const boss = BossFactory.create(script.boss, position.x, position.y, { level: script.level || 1 });
+            game.addEntity(new WarpMarker(boss));
+        }
+
+        this.update(0, game);
+    }
+
+    update(deltaTime, game) {
+        this.time += deltaTime;
+        while (this.pending.length > 0 && this.pending[0].at <= this.time) {
+            this.spawnGroup(this.pending.shift(), game);
+        }
+    }
+
+    // No groups left to spawn
+    isDone() {
+        return this.pending.length === 0;
+    }
+
+    // Members warp in after a telegraph, any that would land near the player move to another edge point
+    spawnGroup(group, game) {
+        const edge = group.edge || 'any';
+        const anchor = SpawnRules.findPoint(() => this.getEdgePoint(edge, game), game);
+        const spacing = group.spacing || 50;
+
+        for (let i = 0; i < group.count; i++) {
+            const type = group.types ? WaveDirector.pickWeighted(group.types) : group.type;
+            let position = this.getFormationPoint(group.formation || 'scatter', anchor, i, spacing, group.edge, game);
+            if (!SpawnRules.isClear(position.x, position.y, game)) {
+                position = SpawnRules.findPoint(() => this.getEdgePoint(edge, game), game);
+            }
+            const elite = Utils.chance(this.modifiers.elite, 'spawning');
+            const enemy = EnemyFactory.create(type, position.x, position.y, { elite });
+
+            enemy.health.max = Math.round(enemy.health.max * this.modifiers.health);
+            enemy.health.current = enemy.health.max;
+            enemy.physics.maxVelocity *= this.modifiers.speed;
+            enemy.accuracy = Utils.clamp(enemy.accuracy + this.modifiers.accuracy, 0, 1);
+            enemy.reactionTime *= this.modifiers.reaction;
+            game.addEntity(new WarpMarker(enemy));
+        }
+    }
+
+    // Random point on an edge of the field
+    getEdgePoint(edge, game) {
+        if (edge === 'sides') edge = Utils.chance(0.5, 'spawning') ? 'left' : 'right';
+        if (edge === 'any') edge = Utils.randomChoice(['top', 'bottom', 'left', 'right'], 'spawning');
+
+        switch (edge) {
+            case 'top':
+                return { x: Utils.random(0, game.width, 'spawning'), y: 0, edge };
+            case 'bottom':
+                return { x: Utils.random(0, game.width, 'spawning'), y: game.height, edge };
+            case 'left':
+                return { x: 0, y: Utils.random(0, game.height, 'spawning'), edge };
+            default:
+                return { x: game.width, y: Utils.random(0, game.height, 'spawning'), edge: 'right' };
+        }
+    }
+
+    // Position of member index of a formation around its anchor
+    // line: along the edge, vee: leader on the edge with the wings reaching into the field,
+    // cluster: jittered just inside the anchor
+    getFormationPoint(formation, anchor, index, spacing, edge, game) {
+        if (formation === 'scatter') {
+            return index === 0 ? anchor : this.getEdgePoint(edge || 'any', game);
+        }
+
+        // Unit vectors along the edge and into the field
+        const along = anchor.edge === 'top' || anchor.edge === 'bottom' ? { x: 1, y: 0 } : { x: 0, y: 1 };
+        const inward = {
+            top: { x: 0, y: 1 },
+            bottom: { x: 0, y: -1 },
+            left: { x: 1, y: 0 },
+            right: { x: -1, y: 0 }
+        }[anchor.edge];
+
+        // Members alternate sides: 0, +1, -1, +2, -2...
+        const side = index === 0 ? 0 : (index % 2 === 1 ? 1 : -1) * Math.ceil(index / 2);
+
+        let offset;
+        if (formation === 'line') {
+            offset = { x: along.x * side * spacing, y: along.y * side * spacing };
+        } else if (formation === 'vee') {
+            const depth = Math.abs(side) * spacing * 0.75;
+            offset = {
+                x: along.x * side * spacing + inward.x * depth,
+                y: along.y * side * spacing + inward.y * depth
+            };
+        } else {
+            const lateral = Utils.random(-spacing, spacing, 'spawning');
+            const depth = Utils.random(0, spacing, 'spawning');
+            offset = {
+                x: along.x * lateral + inward.x * depth,
+                y: along.y * lateral + inward.y * depth
+            };
+        }
+
+        return { x: anchor.x + offset.x, y: anchor.y + offset.y };
+    }
+
+    // Pick a key of a { key: weight } object, null if nothing has weight
+    static pickWeighted(weights) {
+        const keys = Object.keys(weights).filter(key => weights[key] > 0);
+        const total = keys.reduce((sum, key) => sum + weights[key], 0);
+        if (total <= 0) return null;
+
+        let roll = Utils.random(0, total, 'spawning');
+        for (const key of keys) {
+            roll -= weights[key];
+            if (roll < 0) return key;
+        }
+        return keys[keys.length - 1];
+    }
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { WaveScripts, WaveGenerator, WaveDirector };
+}
@@ -5,26 +5,86 @@ class Weapon {
     constructor(owner, options = {}) {
         this.owner = owner;
         this.fireRate = options.fireRate || 500; // ms
-        this.lastFired = 0;
+        this.cooldown = 0; // ms until the weapon can fire again
         this.damage = options.damage || 10;
+        this.damageType = options.damageType || DamageTypes.ENERGY;
+        this.sound = options.sound || 'laser'; // played by AudioManager on weaponFired
         this.projectileSpeed = options.projectileSpeed || 300;
         this.projectileLifetime = options.projectileLifetime || 2000; // ms
         this.projectileColor = options.projectileColor || '#00ff00';
-        this.heatPerShot = options.heatPerShot || 10;
+        this.heatPerShot = options.heatPerShot !== undefined ? options.heatPerShot : 10; // 0 never overheats
+        this.projectiles = options.projectiles || 1;
+        this.spread = options.spread || 0; // radians
+        
+        // Heat management
+        this.heat = 0;
+        this.maxHeat = options.maxHeat || 100;
+        this.cooldownRate = options.cooldownRate || 30; // heat units per second
+        this.recoveryThreshold = options.recoveryThreshold || 0.3; // fraction of maxHeat
+        this.overheated = false;
+    }
+    
+    update(deltaTime) {
+        // Count down fire rate cooldown
+        if (this.cooldown > 0) {
+            this.cooldown -= deltaTime;
+        }
+        
+        // Cool down weapon heat
+        if (this.heat > 0) {
+            this.heat -= this.cooldownRate * (deltaTime / 1000);
+            this.heat = Math.max(0, this.heat);
+        }
+        
+        // Check if weapon is no longer overheated
+        if (this.overheated && this.heat < this.maxHeat * this.recoveryThreshold) {
+            this.overheated = false;
+        }
+    }
+    
+    getFireRate() {
+        // Owners may speed up their weapons (e.g. rapid fire power-up)
+        return this.fireRate * (this.owner.fireRateMultiplier || 1);
     }
     
     canFire() {
-        const now = Date.now();
-        return now - this.lastFired >= this.fireRate;
+        return !this.overheated && this.cooldown <= 0;
     }
     
     fire(game) {
         if (!this.canFire()) return;
         
-        this.lastFired = Date.now();
+        this.cooldown = this.getFireRate();
+        this.addHeat();
+        
+        const shots = this.projectiles * (this.owner.hardpoints || [0]).length;
+        game.events.emit('weaponFired', { weapon: this, owner: this.owner, shots });
+        if (this.overheated) {
+            game.events.emit('overheated', { weapon: this, owner: this.owner });
+        }
         
         // To be implemented by subclasses
     }
+    
+    // Projectile spawn points, one per owner hardpoint (lateral offsets in units of size)
+    getMuzzles(angle) {
+        const hardpoints = this.owner.hardpoints || [0];
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+        
+        return hardpoints.map(offset => ({
+            x: this.owner.x + cos * this.owner.size - sin * offset * this.owner.size,
+            y: this.owner.y + sin * this.owner.size + cos * offset * this.owner.size
+        }));
+    }
+    
+    addHeat() {
+        this.heat += this.heatPerShot;
+        if (this.heat >= this.maxHeat) {
+            this.heat = this.maxHeat;
+            this.overheated = true;
+        }
+    }
 }
 
 // Standard Blaster
@@ -36,6 +96,7 @@ class Blaster extends Weapon {
             projectileSpeed: 400,
             projectileColor: '#00ffff',
             heatPerShot: 12,
+            cooldownRate: 30,
             ...options
         });
     }
@@ -45,21 +106,19 @@ class Blaster extends Weapon {
         
         super.fire(game);
         
-        const projectileX = this.owner.x + Math.cos(this.owner.rotation) * this.owner.size;
-        const projectileY = this.owner.y + Math.sin(this.owner.rotation) * this.owner.size;
-        
-        const projectile = new Projectile(projectileX, projectileY, {
-            rotation: this.owner.rotation,
-            owner: this.owner,
-            damage: this.damage,
-            speed: this.projectileSpeed,
-            lifetime: this.projectileLifetime,
-            color: this.projectileColor
-        });
-        
-        game.addEntity(projectile);
-        
-        if (game.audio) game.audio.play('laser');
+        for (const muzzle of this.getMuzzles(this.owner.rotation)) {
+            const projectile = new Projectile(muzzle.x, muzzle.y, {
+                rotation: this.owner.rotation,
+                owner: this.owner,
+                damage: this.damage,
+                damageType: this.damageType,
+                speed: this.projectileSpeed,
+                lifetime: this.projectileLifetime,
+                color: this.projectileColor
+            });
+            
+            game.addEntity(projectile);
+        }
     }
 }
 
@@ -67,11 +126,15 @@ class Blaster extends Weapon {
 class PlasmaCannon extends Weapon {
     constructor(owner, options = {}) {
         super(owner, {
+            sound: 'plasma',
+            damageType: DamageTypes.PLASMA,
             fireRate: 800,
             damage: 80,
             projectileSpeed: 250,
             projectileColor: '#ff00ff',
             heatPerShot: 35,
+            cooldownRate: 25,
+            recoveryThreshold: 0.2,
             ...options
         });
     }
@@ -81,36 +144,34 @@ class PlasmaCannon extends Weapon {
         
         super.fire(game);
         
-        const projectileX = this.owner.x + Math.cos(this.owner.rotation) * this.owner.size;
-        const projectileY = this.owner.y + Math.sin(this.owner.rotation) * this.owner.size;
-        
-        const projectile = new Projectile(projectileX, projectileY, {
-            rotation: this.owner.rotation,
-            owner: this.owner,
-            damage: this.damage,
-            speed: this.projectileSpeed,
-            lifetime: this.projectileLifetime,
-            color: this.projectileColor,
-            physics: {
-                collisionRadius: 8
-            },
-            draw: (ctx) => { // Custom draw function for plasma ball
-                ctx.fillStyle = this.projectileColor;
-                ctx.beginPath();
-                ctx.arc(0, 0, 8, 0, Math.PI * 2);
-                ctx.fill();
-                
-                ctx.strokeStyle = '#ffffff';
-                ctx.lineWidth = 2;
-                ctx.beginPath();
-                ctx.arc(0, 0, 6, 0, Math.PI * 2);
-                ctx.stroke();
-            }
-        });
-        
-        game.addEntity(projectile);
-        
-        if (game.audio) game.audio.play('plasma');
+        for (const muzzle of this.getMuzzles(this.owner.rotation)) {
+            const projectile = new Projectile(muzzle.x, muzzle.y, {
+                rotation: this.owner.rotation,
+                owner: this.owner,
+                damage: this.damage,
+                damageType: this.damageType,
+                speed: this.projectileSpeed,
+                lifetime: this.projectileLifetime,
+                color: this.projectileColor,
+                physics: {
+                    collisionRadius: 8
+                },
+                draw: (ctx) => { // Custom draw function for plasma ball
+                    ctx.fillStyle = this.projectileColor;
+                    ctx.beginPath();
+                    ctx.arc(0, 0, 8, 0, Math.PI * 2);
+                    ctx.fill();
+                    
+                    ctx.strokeStyle = '#ffffff';
+                    ctx.lineWidth = 2;
+                    ctx.beginPath();
+                    ctx.arc(0, 0, 6, 0, Math.PI * 2);
+                    ctx.stroke();
+                }
+            });
+            
+            game.addEntity(projectile);
+        }
     }
 }
 
@@ -118,11 +179,14 @@ class PlasmaCannon extends Weapon {
 class LaserGatling extends Weapon {
     constructor(owner, options = {}) {
         super(owner, {
+            sound: 'gatling',
             fireRate: 80,
             damage: 8,
             projectileSpeed: 600,
             projectileColor: '#ff4444',
             heatPerShot: 5,
+            cooldownRate: 40,
+            recoveryThreshold: 0.5,
             spread: 0.1, // radians
             ...options
         });
@@ -133,31 +197,29 @@ class LaserGatling extends Weapon {
         
         super.fire(game);
         
-        const projectileX = this.owner.x + Math.cos(this.owner.rotation) * this.owner.size;
-        const projectileY = this.owner.y + Math.sin(this.owner.rotation) * this.owner.size;
-        
-        const angle = this.owner.rotation + Utils.random(-this.spread, this.spread);
-        
-        const projectile = new Projectile(projectileX, projectileY, {
-            rotation: angle,
-            owner: this.owner,
-            damage: this.damage,
-            speed: this.projectileSpeed,
-            lifetime: this.projectileLifetime,
-            color: this.projectileColor,
-            draw: (ctx) => { // Custom draw for thin laser bolt
-                ctx.strokeStyle = this.projectileColor;
-                ctx.lineWidth = 2;
-                ctx.beginPath();
-                ctx.moveTo(-10, 0);
-                ctx.lineTo(0, 0);
-                ctx.stroke();
-            }
-        });
-        
-        game.addEntity(projectile);
-        
-        if (game.audio) game.audio.play('gatling');
+        for (const muzzle of this.getMuzzles(this.owner.rotation)) {
+            const angle = this.owner.rotation + Utils.random(-this.spread, this.spread, 'combat');
+            
+            const projectile = new Projectile(muzzle.x, muzzle.y, {
+                rotation: angle,
+                owner: this.owner,
+                damage: this.damage,
+                damageType: this.damageType,
+                speed: this.projectileSpeed,
+                lifetime: this.projectileLifetime,
+                color: this.projectileColor,
+                draw: (ctx) => { // Custom draw for thin laser bolt
+                    ctx.strokeStyle = this.projectileColor;
+                    ctx.lineWidth = 2;
+                    ctx.beginPath();
+                    ctx.moveTo(-10, 0);
+                    ctx.lineTo(0, 0);
+                    ctx.stroke();
+                }
+            });
+            
+            game.addEntity(projectile);
+        }
     }
 }
 
@@ -165,11 +227,14 @@ class LaserGatling extends Weapon {
 class SpreadShot extends Weapon {
     constructor(owner, options = {}) {
         super(owner, {
+            sound: 'spread',
+            damageType: DamageTypes.KINETIC,
             fireRate: 600,
             damage: 15,
             projectileSpeed: 350,
             projectileColor: '#ffff00',
             heatPerShot: 25,
+            cooldownRate: 35,
             projectiles: 3,
             spread: 0.5, // radians
             ...options
@@ -187,22 +252,20 @@ class SpreadShot extends Weapon {
         for (let i = 0; i < this.projectiles; i++) {
             const angle = baseAngle - this.spread / 2 + angleStep * i;
             
-            const projectileX = this.owner.x + Math.cos(angle) * this.owner.size;
-            const projectileY = this.owner.y + Math.sin(angle) * this.owner.size;
-            
-            const projectile = new Projectile(projectileX, projectileY, {
-                rotation: angle,
-                owner: this.owner,
-                damage: this.damage,
-                speed: this.projectileSpeed,
-                lifetime: this.projectileLifetime,
-                color: this.projectileColor
-            });
-            
-            game.addEntity(projectile);
+            for (const muzzle of this.getMuzzles(angle)) {
+                const projectile = new Projectile(muzzle.x, muzzle.y, {
+                    rotation: angle,
+                    owner: this.owner,
+                    damage: this.damage,
+                    damageType: this.damageType,
+                    speed: this.projectileSpeed,
+                    lifetime: this.projectileLifetime,
+                    color: this.projectileColor
+                });
+                
+                game.addEntity(projectile);
+            }
         }
-        
-        if (game.audio) game.audio.play('spread');
     }
 }
 
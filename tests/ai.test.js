@@ -0,0 +1,109 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startRun, clearField, stepUntil } = require('./helpers/sandbox');
+
+// Enemy placed at an offset from the player, standing still
+function placeEnemy(sim, game, type, dx, dy = 0) {
+    const enemy = sim.EnemyFactory.create(type, game.player.x + dx, game.player.y + dy);
+    enemy.physics.velocity = { x: 0, y: 0 };
+    game.addEntity(enemy);
+    return enemy;
+}
+
+function setup() {
+    const run = startRun('gauntlet');
+    clearField(run.game);
+    run.game.player.autoFire = false;
+    run.game.player.damageImmune = true;
+    return run;
+}
+
+test('hunters close in, strafe at range, and retreat once when badly damaged', () => {
+    const { sim, game } = setup();
+    const hunter = placeEnemy(sim, game, 'hunter_drone', 500);
+
+    game.step();
+    assert.strictEqual(hunter.state, 'pursue');
+    assert.ok(stepUntil(game, () => hunter.state === 'strafe', 300));
+
+    hunter.health.current = hunter.health.max * 0.2;
+    game.step();
+    assert.strictEqual(hunter.state, 'retreat');
+
+    assert.ok(stepUntil(game, () => hunter.state !== 'retreat', 300));
+    assert.ok(game.entities.includes(hunter));
+    for (let i = 0; i < 60; i++) game.step();
+    assert.notStrictEqual(hunter.state, 'retreat', 'retreats only once');
+});
+
+test('enemies patrol while the player is gone', () => {
+    const { sim, game } = setup();
+    const hunter = placeEnemy(sim, game, 'hunter_drone', 300);
+
+    game.player.alive = false;
+    game.step();
+
+    assert.strictEqual(hunter.state, 'patrol');
+    assert.strictEqual(hunter.patrolRoute.length, 3);
+});
+
+test('enemies sidestep a shot on a collision course', () => {
+    const { sim, game } = setup();
+    const hunter = placeEnemy(sim, game, 'hunter_drone', 0, -300);
+    const shot = new sim.Projectile(hunter.x - 200, hunter.y + 5, { rotation: 0, speed: 500, owner: game.player });
+    game.addEntity(shot);
+    game.physics.buildGrid(game.entities);
+
+    const force = sim.Steering.dodge(hunter, game);
+
+    assert.ok(force, 'shot noticed');
+    assert.ok(Math.abs(force.x) < 1e-9, 'perpendicular to the shot');
+    assert.ok(force.y < 0, 'away from the side it will pass on');
+
+    shot.physics.velocity = { x: -500, y: 0 };
+    assert.strictEqual(sim.Steering.dodge(hunter, game), null, 'receding shots are ignored');
+});
+
+test('flocking keeps enemies apart across the screen edge', () => {
+    const { sim, game } = setup();
+    const left = sim.EnemyFactory.create('marauder_frigate', 10, 100);
+    const right = sim.EnemyFactory.create('marauder_frigate', game.width - 10, 100);
+    game.addEntity(left);
+    game.addEntity(right);
+    game.physics.buildGrid(game.entities);
+
+    const force = sim.Steering.flock(left, game);
+
+    assert.ok(force.x > 0, 'pushed away from the neighbor wrapped to its left');
+    assert.ok(sim.Steering.flock(right, game).x < 0);
+});
+
+test('dodging only looks at shots that could arrive within the lookahead', () => {
+    const { sim, game } = setup();
+    const hunter = placeEnemy(sim, game, 'hunter_drone', 0, -300);
+    hunter.dodgeTime = 200;
+    const near = new sim.Projectile(hunter.x - 80, hunter.y, { rotation: 0, speed: 500, owner: game.player });
+    const far = new sim.Projectile(hunter.x + 500, hunter.y + 300, { rotation: Math.PI, speed: 500, owner: game.player });
+    game.addEntity(near);
+    game.addEntity(far);
+    game.physics.buildGrid(game.entities);
+
+    const reach = sim.Steering.maxShotSpeed * hunter.dodgeTime / 1000 + hunter.getCollisionRadius() * 2;
+    const nearby = game.physics.queryRadius(hunter.x, hunter.y, reach, sim.PhysicsEngine.LAYERS.projectile);
+    assert.ok(nearby.includes(near));
+    assert.ok(!nearby.includes(far));
+    assert.ok(sim.Steering.dodge(hunter, game), 'the near shot is still dodged');
+});
+
+test('steering blends behaviors by weight and caps the result', () => {
+    const { sim, game } = setup();
+    const hunter = placeEnemy(sim, game, 'hunter_drone', 500);
+    hunter.target = game.player;
+
+    const pursue = sim.Steering.pursue(hunter, game);
+    const blended = sim.Steering.blend(hunter, { pursue: 0.5 }, game);
+    assert.ok(Math.abs(blended.x - pursue.x * 0.5) < 1e-9);
+
+    const capped = sim.Steering.blend(hunter, { pursue: 5 }, game);
+    assert.ok(Math.abs(sim.Utils.vector.magnitude(capped) - 1) < 1e-9);
+});
@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startRun, clearField, stepUntil } = require('./helpers/sandbox');
+
+// Stationary hunter with perfect aim and reflexes
+function gunner(sim, game, x, y) {
+    const hunter = sim.EnemyFactory.create('hunter_drone', x, y, { accuracy: 1, reactionTime: 0 });
+    hunter.physics.velocity = { x: 0, y: 0 };
+    game.addEntity(hunter);
+    return hunter;
+}
+
+test('led shots hit a target crossing at constant speed', () => {
+    const { sim, game } = startRun('gauntlet');
+    clearField(game);
+    const player = game.player;
+    player.damageImmune = true;
+    player.physics.damping = 1;
+    player.physics.velocity = { x: 0, y: 100 };
+    const hunter = gunner(sim, game, player.x - 200, player.y);
+
+    const angle = sim.Targeting.leadAngle(hunter, player, player.physics.velocity, hunter.weapon, game);
+    assert.ok(angle > 0, 'aims ahead of the target');
+
+    const shot = new sim.Projectile(hunter.x, hunter.y, { rotation: angle, speed: hunter.weapon.projectileSpeed, owner: hunter });
+    game.addEntity(shot);
+    game.entities = game.entities.filter(entity => entity !== hunter);
+    let hit = false;
+    game.events.on('projectileImpact', ({ target }) => hit = hit || target === player);
+
+    stepUntil(game, () => !shot.alive, 200);
+    assert.ok(hit);
+});
+
+test('lead targeting takes the short way across the screen edge', () => {
+    const { sim, game } = startRun('gauntlet');
+    clearField(game);
+    const hunter = gunner(sim, game, 50, 400);
+    const target = { x: game.width - 30, y: 400 };
+
+    const angle = sim.Targeting.leadAngle(hunter, target, { x: 0, y: 60 }, hunter.weapon, game);
+
+    assert.ok(Math.cos(angle) < 0, 'fires left through the edge');
+    assert.ok(Math.sin(angle) > 0, 'leads the target downwards');
+});
+
+test('unreachable targets are aimed at directly', () => {
+    const { sim, game } = startRun('gauntlet');
+    clearField(game);
+    const hunter = gunner(sim, game, 400, 400);
+    const target = { x: 600, y: 450 };
+    const shortRange = { projectileSpeed: 100, projectileLifetime: 500 };
+
+    const angle = sim.Targeting.leadAngle(hunter, target, { x: 0, y: 50 }, shortRange, game);
+
+    assert.strictEqual(angle, game.physics.getAngle(hunter, target));
+});
+
+test('changes of course are noticed after the reaction time', () => {
+    const { sim, game } = startRun('gauntlet');
+    clearField(game);
+    const hunter = sim.EnemyFactory.create('hunter_drone', 200, 200, { reactionTime: 500 });
+    game.addEntity(hunter);
+    game.player.physics.damping = 1;
+    game.step();
+
+    game.player.physics.velocity = { x: 0, y: 120 };
+    game.step();
+    assert.deepEqual(hunter.getPerceivedVelocity(), { x: 0, y: 0 });
+
+    for (let i = 0; i < 30; i++) game.step();
+    assert.ok(hunter.getPerceivedVelocity().y > 100);
+});
+
+test('accuracy scatters shots within the maximum aim error', () => {
+    const { sim, game } = startRun('gauntlet');
+    const sharp = sim.EnemyFactory.create('hunter_drone', 0, 0, { accuracy: 1 });
+    const wild = sim.EnemyFactory.create('scout_saucer', 0, 0, { accuracy: 0 });
+
+    assert.strictEqual(sharp.rollAimError(), 0);
+
+    const errors = Array.from({ length: 200 }, () => wild.rollAimError());
+    assert.ok(errors.every(error => Math.abs(error) <= sim.Targeting.maxAimError));
+    assert.ok(errors.some(error => Math.abs(error) > sim.Targeting.maxAimError / 2));
+});
+
+test('later generated waves field sharper gunners', () => {
+    const { sim, game } = startRun('gauntlet');
+    clearField(game);
+    const early = sim.WaveGenerator.generate(2).modifiers;
+    const late = sim.WaveGenerator.generate(14).modifiers;
+
+    assert.ok(late.accuracy > early.accuracy);
+    assert.ok(late.reaction < early.reaction);
+
+    game.mode.waves.start({
+        groups: [{ type: 'hunter_drone', count: 1, edge: 'top' }],
+        modifiers: { accuracy: 0.1, reaction: 0.5 }
+    }, game);
+    const hunter = game.entities.find(entity => entity.type === 'warp').entity;
+    assert.ok(Math.abs(hunter.accuracy - 0.85) < 1e-9);
+    assert.strictEqual(hunter.reactionTime, 150);
+
+    assert.strictEqual(sim.WaveScripts.validateWave({ modifiers: { reaction: -1 } }),
+        'modifier reaction must be a number of at least 0');
+});
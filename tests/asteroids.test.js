@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startRun, clearField } = require('./helpers/sandbox');
+
+// Destroy an asteroid as if the player shot it, returns the fragments it left
+function shatter(sim, game, size) {
+    clearField(game);
+    const asteroid = new sim.Asteroid(300, 300, size);
+    game.addEntity(asteroid);
+
+    const damage = sim.DamageSystem.createEvent(1000, sim.DamageTypes.ENERGY, null, { attacker: game.player });
+    assert.strictEqual(game.applyDamage(asteroid, damage), true);
+    assert.strictEqual(asteroid.alive, false);
+
+    return game.entities.filter(entity => entity.type === 'asteroid' && entity.alive);
+}
+
+test('large asteroids split into two or three medium ones', () => {
+    const { sim, game } = startRun('classic');
+    const fragments = shatter(sim, game, 'large');
+
+    assert.ok(fragments.length >= 2 && fragments.length <= 3, `got ${fragments.length} fragments`);
+    for (const fragment of fragments) {
+        assert.strictEqual(fragment.size, 'medium');
+        assert.ok(Math.hypot(fragment.x - 300, fragment.y - 300) < sim.Asteroid.getSizeData('large').radius);
+    }
+});
+
+test('medium asteroids split into two small ones', () => {
+    const { sim, game } = startRun('classic');
+    const fragments = shatter(sim, game, 'medium');
+
+    assert.strictEqual(fragments.length, 2);
+    assert.ok(fragments.every(fragment => fragment.size === 'small'));
+});
+
+test('small asteroids leave no fragments', () => {
+    const { sim, game } = startRun('classic');
+    assert.strictEqual(shatter(sim, game, 'small').length, 0);
+});
+
+test('destroying an asteroid scores its value', () => {
+    const { sim, game } = startRun('classic');
+    shatter(sim, game, 'medium');
+
+    assert.strictEqual(game.score, sim.Asteroid.getSizeData('medium').score);
+});
+
+test('asteroids resist kinetic damage and are weak to plasma', () => {
+    const { sim, game } = startRun('classic');
+    clearField(game);
+
+    const hit = type => {
+        const asteroid = new sim.Asteroid(300, 300, 'large');
+        const damage = sim.DamageSystem.createEvent(40, type);
+        asteroid.takeDamage(damage);
+        return damage.dealt;
+    };
+
+    assert.strictEqual(hit(sim.DamageTypes.ENERGY), 40);
+    assert.strictEqual(hit(sim.DamageTypes.KINETIC), 30);
+    assert.strictEqual(hit(sim.DamageTypes.PLASMA), 50);
+});
@@ -0,0 +1,107 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startRun, clearField, stepUntil } = require('./helpers/sandbox');
+
+// Gauntlet run on its first boss wave, once the boss has warped in
+function bossWave() {
+    const run = startRun('gauntlet');
+    clearField(run.game);
+    run.game.player.autoFire = false;
+    run.game.wave = run.game.mode.bossWaveInterval - 1;
+
+    const spawned = [];
+    run.game.events.on('bossSpawned', ({ boss }) => spawned.push(boss));
+    run.game.startNextWave();
+    stepUntil(run.game, () => spawned.length > 0); // after the warp-in telegraph
+
+    run.boss = spawned[0];
+    return run;
+}
+
+function hit(sim, game, target, amount) {
+    const damage = sim.DamageSystem.createEvent(amount, sim.DamageTypes.ENERGY, null, { attacker: game.player });
+    game.applyDamage(target, damage);
+    return damage;
+}
+
+test('every fifth gauntlet wave is a boss with weak points', () => {
+    const { game, boss } = bossWave();
+
+    assert.strictEqual(game.wave, 5);
+    assert.ok(boss);
+    assert.strictEqual(boss.phase, 0);
+    assert.strictEqual(boss.weakPoints.length, 2);
+    assert.ok(boss.weakPoints.every(weakPoint => game.entities.includes(weakPoint)));
+    assert.strictEqual(game.entities.filter(entity => entity.type === 'enemy').length, 3);
+});
+
+test('the core is shielded until its weak points are destroyed', () => {
+    const { sim, game, boss } = bossWave();
+
+    assert.strictEqual(hit(sim, game, boss, 100).dealt, 0);
+    assert.strictEqual(boss.getHealthFraction(), 1);
+
+    for (const weakPoint of boss.weakPoints) {
+        hit(sim, game, weakPoint, 10000);
+    }
+    game.step();
+
+    assert.strictEqual(boss.isShielded(), false);
+    assert.ok(boss.getHealthFraction() < 1, 'destroyed weak points breach the hull');
+    assert.ok(hit(sim, game, boss, 100).dealt > 0);
+});
+
+test('crossing a health threshold starts the next phase', () => {
+    const { sim, game, boss } = bossWave();
+    const phases = [];
+    game.events.on('bossPhaseChanged', ({ phase }) => phases.push(phase));
+
+    boss.weakPoints.forEach(weakPoint => hit(sim, game, weakPoint, 10000));
+    game.step();
+    boss.health.current = boss.health.max * boss.data.phases[1].threshold;
+    game.step();
+
+    assert.deepEqual(phases, [1]);
+    assert.strictEqual(boss.phase, 1);
+    assert.strictEqual(boss.weakPoints.length, boss.data.phases[1].weakPoints.length);
+    assert.strictEqual(boss.isShielded(), true);
+});
+
+test('boss attacks follow the phase script', () => {
+    const { sim, game, boss } = bossWave();
+    game.player.health.invulnerable = true;
+    game.player.health.invulnerabilityTime = Infinity;
+
+    const fired = new Set();
+    game.events.on('weaponFired', ({ weapon, owner }) => {
+        if (owner === boss) fired.add(Object.keys(boss.weapons).find(id => boss.weapons[id] === weapon));
+    });
+
+    const scriptTime = boss.script.reduce((total, id) => total + sim.Boss.ATTACKS[id].duration, 0);
+    for (let t = 0; t < scriptTime; t += sim.Game.TIMESTEP) game.step();
+
+    assert.deepEqual([...fired].sort(), [...boss.script].sort());
+});
+
+test('boss shots pass through its own weak points', () => {
+    const { sim, game, boss } = bossWave();
+    const weakPoint = boss.weakPoints[0];
+    const projectile = new sim.Projectile(weakPoint.x, weakPoint.y, { owner: boss, damage: 50 });
+
+    game.projectileHit(projectile, weakPoint);
+
+    assert.strictEqual(weakPoint.health.current, weakPoint.health.max);
+    assert.strictEqual(projectile.alive, true);
+});
+
+test('defeated bosses always drop crystals', () => {
+    const { sim, game, boss } = bossWave();
+    boss.weakPoints.forEach(weakPoint => hit(sim, game, weakPoint, 10000));
+    game.step();
+
+    hit(sim, game, boss, 100000);
+
+    assert.strictEqual(boss.alive, false);
+    const crystals = game.entities.filter(entity => entity.resourceType === 'crystal');
+    assert.ok(crystals.length > 0);
+});
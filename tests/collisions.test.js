@@ -0,0 +1,138 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startRun, clearField, stepUntil } = require('./helpers/sandbox');
+
+// Park the player out of the way so it doesn't take part
+function setUp(mode = 'classic') {
+    const run = startRun(mode);
+    clearField(run.game);
+    run.game.player.x = 1100;
+    run.game.player.y = 700;
+    return run;
+}
+
+function still(entity) {
+    entity.physics.velocity = { x: 0, y: 0 };
+    entity.rotationSpeed = 0;
+    return entity;
+}
+
+test('projectiles damage what they hit and are used up', () => {
+    const { sim, game } = setUp();
+    const asteroid = still(new sim.Asteroid(400, 300, 'large'));
+    const projectile = new sim.Projectile(200, 300, { owner: game.player, damage: 20, damageType: sim.DamageTypes.ENERGY });
+    game.addEntity(asteroid);
+    game.addEntity(projectile);
+
+    assert.ok(stepUntil(game, () => !projectile.alive));
+    assert.strictEqual(asteroid.health.current, asteroid.health.max - 20);
+});
+
+test('fast projectiles do not tunnel through small targets', () => {
+    const { sim, game } = setUp();
+    const asteroid = still(new sim.Asteroid(400, 300, 'small'));
+    const projectile = new sim.Projectile(300, 300, { owner: game.player, speed: 3000, damage: 1 });
+    game.addEntity(asteroid);
+    game.addEntity(projectile);
+
+    // 50 px per step, more than the asteroid's width
+    game.step();
+    game.step();
+    game.step();
+
+    assert.strictEqual(projectile.alive, false);
+    assert.ok(asteroid.health.current < asteroid.health.max);
+});
+
+test('projectiles ignore the ship that fired them', () => {
+    const { sim, game } = setUp();
+    const player = game.player;
+    const projectile = new sim.Projectile(player.x, player.y, { owner: player, speed: 1 });
+    game.addEntity(projectile);
+    const health = player.health.current;
+    const shield = player.shield.current;
+
+    game.step();
+
+    assert.strictEqual(projectile.alive, true);
+    assert.strictEqual(player.health.current, health);
+    assert.strictEqual(player.shield.current, shield);
+});
+
+test('ramming an asteroid damages both sides', () => {
+    const { sim, game } = setUp();
+    const player = game.player;
+    const asteroid = still(new sim.Asteroid(player.x - 60, player.y, 'medium'));
+    asteroid.physics.velocity.x = 60;
+    game.addEntity(asteroid);
+    const shield = player.shield.current;
+
+    assert.ok(stepUntil(game, () => player.shield.current < shield));
+    assert.ok(asteroid.health.current < asteroid.health.max);
+});
+
+test('pickups only collide with the player', () => {
+    const { sim, game } = setUp();
+    const asteroid = still(new sim.Asteroid(400, 300, 'large'));
+    const pickup = still(sim.PickupFactory.create('scrap', 400, 300));
+
+    assert.strictEqual(game.physics.canCollide(asteroid, pickup), false);
+    assert.strictEqual(game.physics.canCollide(game.player, pickup), true);
+});
+
+test('collisions are found across the screen edge', () => {
+    const { sim, game } = setUp();
+    const left = still(new sim.Asteroid(5, 300, 'medium'));
+    const right = still(new sim.Asteroid(game.width - 5, 300, 'medium'));
+
+    assert.strictEqual(game.physics.checkCollision(left, right), true);
+    assert.ok(game.physics.getDistance(left, right) < 20);
+});
+
+test('grid queries find entities across the screen edge and skip distant ones', () => {
+    const { sim, game } = setUp();
+    const wrapped = still(new sim.Asteroid(game.width - 20, 300, 'small'));
+    const distant = still(new sim.Asteroid(600, 300, 'small'));
+    game.addEntity(wrapped);
+    game.addEntity(distant);
+    game.physics.buildGrid(game.entities);
+
+    const layers = sim.PhysicsEngine.LAYERS;
+    const found = game.physics.queryRadius(20, 300, 60, layers.asteroid);
+
+    assert.ok(found.includes(wrapped));
+    assert.ok(!found.includes(distant));
+    assert.strictEqual(game.physics.queryRadius(600, 400, 5000, layers.asteroid | layers.player).length, game.entities.length);
+    assert.deepEqual(game.physics.queryRadius(600, 400, 5000, layers.enemy), []);
+});
+
+test('overlapping asteroids are pushed apart along the contact normal', () => {
+    const { sim, game } = setUp();
+    const left = still(new sim.Asteroid(400, 300, 'large'));
+    const right = still(new sim.Asteroid(440, 300, 'large'));
+
+    const contact = game.physics.getContact(left, right);
+    assert.ok(contact.normal.x > 0, 'normal faces from the first entity to the second');
+    assert.ok(contact.depth > 0);
+
+    game.physics.handleCollision(left, right, contact);
+    assert.ok(game.physics.getSeparation(left, right).depth < 1e-9, 'no longer overlapping');
+
+    const reversed = sim.PhysicsEngine.reverseContact(contact);
+    assert.deepEqual(reversed.normal, { x: -contact.normal.x, y: -contact.normal.y });
+});
+
+test('a swept circle is caught passing a corner within its radius', () => {
+    const { sim } = setUp();
+    const square = [{ x: 0, y: 0 }, { x: 100, y: 0 }, { x: 100, y: 100 }, { x: 0, y: 100 }];
+
+    // The center never enters the square but passes 7 px from its corner
+    const corner = sim.PolygonCollision.sweepCircle({ x: -60, y: 50 }, { x: 40, y: 150 }, 10, square);
+    assert.ok(corner, 'corner grazed');
+    assert.deepEqual([corner.x, corner.y], [0, 100]);
+
+    // Contact is reported when the circle first touches the edge, not when its center crosses it
+    const edge = sim.PolygonCollision.sweepCircle({ x: 50, y: -100 }, { x: 50, y: 100 }, 10, square);
+    assert.ok(Math.abs(edge.time - 0.45) < 1e-9);
+    assert.deepEqual([edge.x, edge.y], [50, 0]);
+});
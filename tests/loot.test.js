@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startRun, clearField, stepUntil } = require('./helpers/sandbox');
+
+const total = (pickups, type) => pickups
+    .filter(pickup => pickup.resourceType === type)
+    .reduce((sum, pickup) => sum + pickup.value, 0);
+
+test('elites drop every entry plus a bonus crystal', () => {
+    const { sim } = startRun('gauntlet');
+    const drops = sim.LootSystem.roll('scout_saucer', { elite: true });
+
+    assert.deepEqual(drops.map(drop => drop.type), ['scrap', 'crystal', 'crystal']);
+});
+
+test('drops are split over a limited number of pickups without losing value', () => {
+    const { sim } = startRun('gauntlet');
+    const pickups = sim.LootSystem.createDrops('marauder_frigate', 100, 100, { wave: 10 });
+    const scrap = pickups.filter(pickup => pickup.resourceType === 'scrap');
+
+    assert.ok(scrap.length > 0 && scrap.length <= sim.LootSystem.maxPickupsPerType);
+    assert.ok(total(pickups, 'scrap') >= 15 * 1.9);
+});
+
+test('destroyed enemies drop loot in gauntlet', () => {
+    const { sim, game } = startRun('gauntlet');
+    clearField(game);
+    const enemy = sim.EnemyFactory.create('marauder_frigate', 300, 300);
+    game.addEntity(enemy);
+
+    game.applyDamage(enemy, sim.DamageSystem.createEvent(10000, sim.DamageTypes.ENERGY, null, { attacker: game.player }));
+
+    const pickups = game.entities.filter(entity => entity.type === 'pickup');
+    assert.ok(total(pickups, 'scrap') > 0);
+});
+
+test('classic mode has no loot', () => {
+    const { sim, game } = startRun('classic');
+    clearField(game);
+    const asteroid = new sim.Asteroid(300, 300, 'small');
+    game.addEntity(asteroid);
+
+    game.applyDamage(asteroid, sim.DamageSystem.createEvent(1000, sim.DamageTypes.ENERGY));
+
+    assert.strictEqual(game.entities.filter(entity => entity.type === 'pickup').length, 0);
+});
+
+test('flying into a resource collects it', () => {
+    const { sim, game } = startRun('gauntlet');
+    clearField(game);
+    game.player.autoFire = false;
+    const pickup = sim.PickupFactory.create('scrap', game.player.x + 40, game.player.y, { value: 7 });
+    pickup.physics.velocity = { x: 0, y: 0 };
+    game.addEntity(pickup);
+
+    const collected = [];
+    game.events.on('pickupCollected', event => collected.push(event.pickup));
+
+    assert.ok(stepUntil(game, () => !pickup.alive));
+    assert.strictEqual(game.runStats.scrap, 7);
+    assert.strictEqual(collected[0], pickup);
+});
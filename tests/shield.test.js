@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startRun, clearField } = require('./helpers/sandbox');
+
+function hitPlayer(sim, game, amount) {
+    const damage = sim.DamageSystem.createEvent(amount, sim.DamageTypes.ENERGY);
+    game.applyDamage(game.player, damage);
+    return damage;
+}
+
+test('shields absorb hits smaller than the remaining shield', () => {
+    const { sim, game } = startRun('classic');
+    const player = game.player;
+    const shield = player.shield.current;
+    const health = player.health.current;
+
+    const damage = hitPlayer(sim, game, 10);
+
+    assert.strictEqual(damage.absorbed, 10);
+    assert.strictEqual(damage.dealt, 0);
+    assert.strictEqual(player.shield.current, shield - 10);
+    assert.strictEqual(player.health.current, health);
+});
+
+test('damage beyond the shield reaches the hull after armor', () => {
+    const { sim, game } = startRun('classic');
+    const player = game.player;
+    const shield = player.shield.current;
+    const health = player.health.current;
+
+    const damage = hitPlayer(sim, game, shield + 30);
+    const expected = sim.DamageSystem.mitigate(30, sim.DamageTypes.ENERGY, player);
+
+    assert.strictEqual(damage.absorbed, shield);
+    assert.strictEqual(player.shield.current, 0);
+    assert.ok(Math.abs(player.health.current - (health - expected)) < 1e-9);
+});
+
+test('shields regenerate only after the regen delay', () => {
+    const { sim, game } = startRun('classic');
+    clearField(game);
+    const player = game.player;
+    hitPlayer(sim, game, 20);
+    const damaged = player.shield.current;
+
+    const delaySteps = Math.floor(player.shield.regenDelay / sim.Game.TIMESTEP) - 1;
+    for (let i = 0; i < delaySteps; i++) game.step();
+    assert.strictEqual(player.shield.current, damaged);
+
+    for (let i = 0; i < 60; i++) game.step();
+    assert.ok(player.shield.current > damaged);
+});
+
+test('the aegis effect blocks damage entirely', () => {
+    const { sim, game } = startRun('classic');
+    const player = game.player;
+    const shield = player.shield.current;
+    player.damageImmune = true;
+
+    const damage = hitPlayer(sim, game, 500);
+
+    assert.strictEqual(damage.absorbed, 0);
+    assert.strictEqual(damage.dealt, 0);
+    assert.strictEqual(player.shield.current, shield);
+});
+
+test('hits on the player are announced on the event bus', () => {
+    const { sim, game } = startRun('classic');
+    const events = [];
+    game.events.on('playerHit', ({ damage }) => events.push(damage.absorbed));
+
+    hitPlayer(sim, game, 5);
+
+    assert.deepEqual(events, [5]);
+});
@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startRun, clearField, stepUntil } = require('./helpers/sandbox');
+
+function killPlayer(sim, game) {
+    game.applyDamage(game.player, sim.DamageSystem.createEvent(100000, sim.DamageTypes.ENERGY));
+}
+
+// Stationary large asteroid
+function parkAsteroid(sim, game, x, y) {
+    const asteroid = new sim.Asteroid(x, y, 'large');
+    asteroid.physics.velocity = { x: 0, y: 0 };
+    game.addEntity(asteroid);
+    return asteroid;
+}
+
+const distanceToPlayer = (sim, game, entity) =>
+    sim.Utils.wrappedDistance(entity.x, entity.y, game.player.x, game.player.y, game.width, game.height);
+
+test('asteroids keep their distance from a player hugging the spawn edge', () => {
+    const { sim, game } = startRun('classic');
+    clearField(game);
+    game.player.x = 5;
+    game.wave = 20;
+    game.startNextWave();
+
+    const asteroids = game.entities.filter(entity => entity.type === 'asteroid');
+    assert.strictEqual(asteroids.length, 23);
+    assert.ok(asteroids.every(asteroid => distanceToPlayer(sim, game, asteroid) >= sim.SpawnRules.playerClearance));
+});
+
+test('enemies are telegraphed away from the player before warping in', () => {
+    const { sim, game } = startRun('gauntlet');
+    clearField(game);
+    game.player.y = 10;
+    game.mode.waves.start({ groups: [{ type: 'scout_saucer', count: 3, edge: 'top', formation: 'line' }] }, game);
+
+    const markers = game.entities.filter(entity => entity.type === 'warp');
+    assert.strictEqual(markers.length, 3);
+    assert.ok(markers.every(marker => distanceToPlayer(sim, game, marker) >= sim.SpawnRules.playerClearance));
+
+    const warped = [];
+    game.events.on('warpedIn', ({ entity }) => warped.push(entity));
+    assert.ok(stepUntil(game, () => warped.length === 3, 100));
+    const positions = entities => entities.map(entity => `${entity.x},${entity.y}`).sort();
+    assert.deepEqual(positions(warped), positions(markers));
+});
+
+test('the player respawns at once when the center is clear', () => {
+    const { sim, game } = startRun('classic');
+    clearField(game);
+
+    killPlayer(sim, game);
+
+    assert.strictEqual(game.player.alive, true);
+    assert.strictEqual(game.respawnPending, false);
+    assert.deepEqual([game.player.x, game.player.y], [game.width / 2, game.height / 2]);
+});
+
+test('respawning waits for an asteroid to leave the center', () => {
+    const { sim, game } = startRun('classic');
+    clearField(game);
+    const asteroid = parkAsteroid(sim, game, game.width / 2 + 40, game.height / 2);
+
+    killPlayer(sim, game);
+    game.step();
+    assert.strictEqual(game.player.alive, false);
+    assert.strictEqual(game.entities.includes(game.player), false);
+
+    asteroid.x = 100;
+    game.step();
+    assert.strictEqual(game.player.alive, true);
+    assert.strictEqual(game.entities.filter(entity => entity === game.player).length, 1);
+});
+
+test('hazards that stay put are pushed out of the respawn area', () => {
+    const { sim, game } = startRun('classic');
+    clearField(game);
+    const asteroid = parkAsteroid(sim, game, game.width / 2, game.height / 2);
+    const respawned = [];
+    game.events.on('playerRespawned', ({ player }) => respawned.push(game.time));
+
+    killPlayer(sim, game);
+    assert.ok(stepUntil(game, () => game.player.alive, 400));
+
+    assert.ok(respawned[0] >= sim.SpawnRules.respawnWait - sim.Game.TIMESTEP);
+    assert.ok(distanceToPlayer(sim, game, asteroid) >= sim.SpawnRules.respawnClearance);
+});
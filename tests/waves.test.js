@@ -0,0 +1,169 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startRun, clearField, stepUntil } = require('./helpers/sandbox');
+
+const countType = (game, type) => game.entities.filter(entity => entity.type === type).length;
+
+// Enemy type id of an enemy instance
+const typeOf = (sim, enemy) => sim.EnemyFactory.TYPES.find(type => enemy instanceof sim.EnemyFactory.create(type, 0, 0).constructor);
+
+test('gauntlet wave 1 is three large asteroids and no enemies', () => {
+    const { game } = startRun('gauntlet');
+
+    assert.strictEqual(game.wave, 1);
+    assert.strictEqual(countType(game, 'asteroid'), 3);
+    assert.strictEqual(countType(game, 'enemy'), 0);
+    assert.ok(game.entities.filter(e => e.type === 'asteroid').every(asteroid => asteroid.size === 'large'));
+});
+
+test('generated waves grow the asteroid field and spend a threat budget on enemies', () => {
+    const { sim, game } = startRun('gauntlet');
+    clearField(game);
+    game.wave = 6;
+    game.startNextWave();
+    stepUntil(game, () => game.mode.waves.isDone() && countType(game, 'warp') === 0, 2000);
+
+    const threat = game.entities
+        .filter(entity => entity.type === 'enemy')
+        .reduce((total, enemy) => total + sim.WaveGenerator.enemyTypes[typeOf(sim, enemy)].threat, 0);
+
+    assert.strictEqual(game.wave, 7);
+    assert.strictEqual(countType(game, 'asteroid'), 9);
+    assert.strictEqual(threat, 7);
+});
+
+test('marauders are held back until wave 6', () => {
+    const { sim } = startRun('gauntlet');
+
+    for (let wave = 2; wave <= 5; wave++) {
+        for (let i = 0; i < 50; i++) {
+            const counts = sim.WaveGenerator.rollEnemies(wave);
+            assert.strictEqual(counts.marauder_frigate, undefined, `marauder on wave ${wave}`);
+            if (wave === 2) assert.deepEqual(Object.keys(counts), ['scout_saucer']);
+        }
+    }
+
+    const seen = new Set();
+    for (let i = 0; i < 50; i++) {
+        Object.keys(sim.WaveGenerator.rollEnemies(8)).forEach(type => seen.add(type));
+    }
+    assert.ok(seen.has('marauder_frigate'));
+});
+
+test('groups spawn on their timers and hold the wave open', () => {
+    const { sim, game } = startRun('gauntlet');
+    clearField(game);
+    game.mode.waves.start({
+        groups: [{ at: 1000, type: 'hunter_drone', count: 3, edge: 'top', formation: 'vee' }],
+        modifiers: { health: 2 }
+    }, game);
+
+    game.step();
+    assert.strictEqual(countType(game, 'enemy'), 0);
+    assert.strictEqual(game.mode.isWaveComplete(game), false);
+
+    assert.ok(stepUntil(game, () => countType(game, 'warp') === 3, 70));
+    assert.strictEqual(countType(game, 'enemy'), 0, 'telegraphed before warping in');
+    assert.strictEqual(game.mode.isWaveComplete(game), false);
+
+    assert.ok(stepUntil(game, () => countType(game, 'enemy') === 3, 80));
+    const drones = game.entities.filter(entity => entity.type === 'enemy');
+    assert.ok(drones.every(drone => drone.health.max === 120));
+    assert.ok(drones.every(drone => drone.y <= 100), 'spawned along the top edge');
+});
+
+test('wave files are validated', () => {
+    const { sim } = startRun('gauntlet');
+
+    assert.strictEqual(sim.WaveScripts.validate(sim.WaveScripts.gauntlet).success, true);
+    assert.strictEqual(sim.WaveScripts.parse('{').reason, 'File is not valid JSON');
+    assert.strictEqual(sim.WaveScripts.parse('{"waves": [{"groups": [{"type": "mothership", "count": 1}]}]}').reason,
+        'Wave 1: unknown enemy type in mothership');
+    assert.strictEqual(sim.WaveScripts.parse('{"waves": [{"asteroids": [{"size": "huge", "count": 1}]}]}').reason,
+        'Wave 1: unknown asteroid size huge');
+});
+
+test('malformed wave scripts are rejected instead of spawning broken waves', () => {
+    const { sim } = startRun('gauntlet');
+    const reason = (wave) => sim.WaveScripts.parse(JSON.stringify({ waves: [wave] })).reason;
+
+    assert.strictEqual(reason({ boss: 'void_dreadnought', level: 'abc' }), 'Wave 1: boss level must be a whole number of at least 1');
+    assert.strictEqual(reason({ groups: [{ types: { scout_saucer: 'x' }, count: 2 }] }),
+        'Wave 1: group type weights must be positive numbers');
+    assert.strictEqual(reason({ modifiers: { armor: 2 } }), 'Wave 1: unknown modifier armor');
+    assert.strictEqual(reason({ asteroids: { size: 'large', count: 1 } }), 'Wave 1: asteroids must be a list of objects');
+    assert.strictEqual(reason({ groups: [null] }), 'Wave 1: groups must be a list of objects');
+    assert.strictEqual(sim.WaveScripts.parse('{"waves": 3}').reason, 'Wave set needs a list of waves');
+
+    assert.strictEqual(reason({ asteroids: [{ size: 'small', count: 1000000 }] }), 'Wave 1: no more than 60 asteroids per wave');
+    assert.strictEqual(reason({ groups: [{ type: 'scout_saucer', count: 30 }, { type: 'scout_saucer', count: 30 }] }),
+        'Wave 1: no more than 40 enemies per wave');
+    assert.strictEqual(reason({ groups: [{ type: 'scout_saucer', count: 1, at: '5' }] }),
+        'Wave 1: group time must be a number from 0 to 300000');
+    assert.strictEqual(reason({ groups: [{ type: 'scout_saucer', count: 1, spacing: 'wide' }] }),
+        'Wave 1: group spacing must be a number above 0 and at most 300');
+});
+
+test('a custom wave set replaces the opening waves', () => {
+    const { loadGame } = require('./helpers/sandbox');
+    const sim = loadGame();
+    const game = new sim.Game(null, { headless: true });
+    const waveSet = sim.WaveScripts.parse('{"waves": [{"asteroids": [{"size": "small", "count": 6}]}]}').waveSet;
+    game.startGame('gauntlet', { seed: 1, waveSet });
+
+    assert.strictEqual(countType(game, 'asteroid'), 6);
+    assert.ok(game.entities.filter(e => e.type === 'asteroid').every(asteroid => asteroid.size === 'small'));
+});
+
+test('runs on a custom wave set earn nothing and stay out of the high scores', () => {
+    const { loadGame } = require('./helpers/sandbox');
+    const sim = loadGame();
+    const game = new sim.Game(null, { headless: true });
+    const scrap = game.playerData.scrap;
+    const waveSet = sim.WaveScripts.parse('{"waves": [{"asteroids": [{"size": "small", "count": 1}]}]}').waveSet;
+    game.startGame('gauntlet', { seed: 1, waveSet });
+    game.runStats.scrap = 500;
+    game.score = 100000;
+
+    game.endGame('defeat');
+
+    assert.strictEqual(game.mode.isRanked(), false);
+    assert.strictEqual(game.playerData.scrap, scrap);
+    assert.deepEqual(game.runRewards, { scrap: 0, crystals: 0 });
+    assert.strictEqual(game.playerData.highScores.gauntlet.length, 0);
+});
+
+test('clearing a gauntlet wave offers boons before the next wave', () => {
+    const { game } = startRun('gauntlet');
+    clearField(game);
+    game.step();
+
+    assert.strictEqual(game.state, 'intermission');
+    assert.strictEqual(game.ui.menu, 'waveChoice');
+    assert.strictEqual(game.ui.waveChoices.length, 3);
+
+    game.chooseIntermissionOption(game.ui.waveChoices[0]);
+    assert.strictEqual(game.state, 'playing');
+    assert.strictEqual(game.wave, 2);
+    assert.ok(countType(game, 'asteroid') > 0);
+});
+
+test('classic mode starts the next wave as soon as one is cleared', () => {
+    const { game } = startRun('classic');
+    clearField(game);
+    game.step();
+
+    assert.strictEqual(game.state, 'playing');
+    assert.strictEqual(game.wave, 2);
+    assert.strictEqual(countType(game, 'asteroid'), 4);
+});
+
+test('the same seed spawns the same wave', () => {
+    const layout = seed => startRun('gauntlet', seed).game.entities
+        .filter(entity => entity.type === 'asteroid')
+        .map(asteroid => `${asteroid.x.toFixed(3)},${asteroid.y.toFixed(3)}`)
+        .join(' ');
+
+    assert.strictEqual(layout(42), layout(42));
+    assert.notStrictEqual(layout(42), layout(43));
+});